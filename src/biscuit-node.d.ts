@@ -0,0 +1,19 @@
+// biscuit-node.d.ts
+import type { StorageAdapter } from "./biscuit";
+
+interface FileStorageOptions {
+    /** Directory holding the store files (created if missing). Default: ".biscuit" */
+    dir?: string;
+    /** Namespace → file name, so each namespace gets its own file. Match
+     * the `namespace` passed to `createBiscuit()`. */
+    namespace?: string;
+}
+
+/**
+ * File-backed storage for Node processes: one JSON file per namespace,
+ * rewritten atomically on each change. Only one process should write a
+ * given file at a time.
+ */
+declare function createFileStorage(options?: FileStorageOptions): StorageAdapter;
+
+export { createFileStorage, FileStorageOptions };
@@ -0,0 +1,125 @@
+// biscuit-node.js
+// Optional Node storage adapter for Biscuit. Not required to use Biscuit
+// itself — import this only in Node processes (build scripts, SSR servers)
+// that want cached values to survive a restart instead of running
+// memory-only.
+//
+// Usage:
+//   import { createBiscuit } from "biscuit-cache-js";
+//   import { createFileStorage } from "biscuit-cache-js/node";
+//
+//   const cache = createBiscuit({
+//     namespace: "api",
+//     storage: createFileStorage({ dir: ".cache/biscuit", namespace: "api" }),
+//   });
+
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+/**
+ * One JSON file per namespace, holding the same records the IndexedDB
+ * adapter would (TTL, fetcherId, refreshPolicy, encrypted payloads — all
+ * untouched), plus a second file for the offline outbox. Records live in
+ * memory and each file is rewritten atomically (temp file + rename) after
+ * each change; writes issued back to back are coalesced into a single
+ * rewrite.
+ *
+ * Only one process should own a given file at a time — concurrent writers
+ * would overwrite each other's changes.
+ *
+ * @param {{ dir?: string, namespace?: string }} [options]
+ * @returns {import("./biscuit.js").StorageAdapter}
+ */
+export function createFileStorage({ dir = ".biscuit", namespace = "" } = {}) {
+  const suffix = namespace ? `-${namespace}` : "";
+  const entries = fileRecords(join(dir, `biscuit-store${suffix}.json`));
+  const outbox = fileRecords(join(dir, `biscuit-outbox${suffix}.json`));
+
+  return {
+    name: "file",
+    // records are loaded into this process's memory — other processes
+    // wouldn't see each other's writes
+    shared: false,
+    async open() {
+      await mkdir(dir, { recursive: true });
+      await Promise.all([entries.load(), outbox.load()]);
+    },
+    get: entries.get,
+    getAll: entries.getAll,
+    put: entries.put,
+    putMany: entries.putMany,
+    delete: entries.delete,
+    clear: entries.clear,
+    outbox: {
+      get: outbox.get,
+      getAll: outbox.getAll,
+      put: outbox.put,
+      putMany: outbox.putMany,
+      delete: outbox.delete,
+      clear: outbox.clear,
+    },
+    // wait for the last rewrites so a process exiting right after destroy()
+    // doesn't lose them
+    close: () => Promise.all([entries.writing(), outbox.writing()]),
+  };
+}
+
+function fileRecords(file) {
+  const records = new Map();
+  let writing = Promise.resolve();
+  let dirty = false;
+
+  function scheduleWrite() {
+    dirty = true;
+    const next = writing.then(async () => {
+      if (!dirty) return; // an earlier queued write already picked this change up
+      dirty = false;
+      const tmp = `${file}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify(Array.from(records.values())));
+      await rename(tmp, file);
+    });
+    // keep the chain alive for later writes even if this one fails —
+    // the caller still sees the rejection through `next`
+    writing = next.catch(() => {});
+    return next;
+  }
+
+  return {
+    async load() {
+      let raw;
+      try {
+        raw = await readFile(file, "utf8");
+      } catch (e) {
+        if (e.code === "ENOENT") return; // first run — nothing persisted yet
+        throw e;
+      }
+      let parsed;
+      try {
+        parsed = JSON.parse(raw);
+      } catch (e) {
+        throw new Error(`Biscuit store file "${file}" is corrupted: ${e.message}`);
+      }
+      records.clear();
+      for (const record of parsed) records.set(record.key, record);
+    },
+    get: (key) => records.get(key),
+    getAll: () => Array.from(records.values()),
+    put(record) {
+      records.set(record.key, record);
+      return scheduleWrite();
+    },
+    putMany(list) {
+      for (const record of list) records.set(record.key, record);
+      return scheduleWrite();
+    },
+    delete(key) {
+      if (!records.delete(key)) return;
+      return scheduleWrite();
+    },
+    clear() {
+      records.clear();
+      return scheduleWrite();
+    },
+    writing: () => writing,
+  };
+}
@@ -19,12 +19,14 @@
 //   }
 
 import { useCallback, useEffect, useRef, useState } from "react";
+import { hashKey } from "./biscuit.js";
 
 /**
  * Subscribe a component to a single Biscuit key.
  *
  * @param {ReturnType<import("./biscuit.js").createBiscuit>} cache
- * @param {string} key
+ * @param {string | Array<any> | Record<string, any>} key — array/object keys
+ *   are compared by their hash, so an inline `["user", id]` is fine
  * @param {{
  *   fetcher?: Function | { id: string, fn: Function },
  *   ttl?: number,
@@ -45,8 +47,12 @@ export function useBiscuit(cache, key, options = {}) {
   const optionsRef = useRef(options);
   optionsRef.current = options;
 
+  // structured keys are usually fresh array literals each render — key the
+  // effects on their stable hash instead of their identity
+  const keyHash = key ? hashKey(key) : null;
+
   useEffect(() => {
-    if (!cache || !key) return;
+    if (!cache || !keyHash) return;
     let cancelled = false;
     setLoading(true);
     setError(null);
@@ -54,15 +60,12 @@ export function useBiscuit(cache, key, options = {}) {
     (async () => {
       try {
         await cache.ready();
-        let current = await cache.get(key, getOptions);
-        if (current === null && fetcher) {
-          // nothing cached yet — seed it via set(), which also registers
-          // the fetcher for future background/on-demand refreshes
-          const fresh = await fetcher();
-          if (cancelled) return;
-          await cache.set(key, fresh, ttl, fetcher, refreshPolicy ? { refreshPolicy } : undefined);
-          current = fresh;
-        }
+        // with a fetcher, a cache miss is seeded through getOrFetch(), which
+        // also registers the fetcher for future background/on-demand
+        // refreshes and shares one load between components using this key
+        const current = fetcher
+          ? await cache.getOrFetch(keyHash, fetcher, { ttl, refreshPolicy, getOptions })
+          : await cache.get(keyHash, getOptions);
         if (!cancelled) {
           setValue(current);
           setLoading(false);
@@ -75,7 +78,7 @@ export function useBiscuit(cache, key, options = {}) {
       }
     })();
 
-    const unsubscribe = cache.subscribeKey(key, (v) => {
+    const unsubscribe = cache.subscribeKey(keyHash, (v) => {
       if (!cancelled) setValue(v);
     });
 
@@ -84,10 +87,10 @@ export function useBiscuit(cache, key, options = {}) {
       unsubscribe();
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [cache, key]);
+  }, [cache, keyHash]);
 
-  const refresh = useCallback(() => cache.refresh(key), [cache, key]);
-  const set = useCallback((v) => cache.set(key, v, ttl, fetcher), [cache, key, ttl, fetcher]);
+  const refresh = useCallback(() => cache.refresh(keyHash), [cache, keyHash]);
+  const set = useCallback((v) => cache.set(keyHash, v, ttl, fetcher), [cache, keyHash, ttl, fetcher]);
 
   return [value, { loading, error, refresh, set }];
 }
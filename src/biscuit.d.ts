@@ -7,6 +7,11 @@
 type Fetcher<T> = (signal?: AbortSignal) => Promise<T>;
 type Mutator<T> = (current: T) => T | Promise<T>;
 
+/** A cache key: a non-empty string, or an array / plain object that is
+ * hashed into a stable string (object properties sorted). `keys()` and
+ * friends always report the hashed string form. */
+type BiscuitKey = string | readonly unknown[] | { [k: string]: unknown };
+
 /** A fetcher that also carries a stable ID, so it can be rebound after a
  * page reload (functions can't be persisted to IndexedDB, but the ID can). */
 interface PersistableFetcher<T> {
@@ -32,10 +37,112 @@ interface BiscuitEntry<T> {
     ttl?: number;
     fetcherId?: string; // optional ID for rebinding fetchers
     refreshPolicy?: RefreshPolicy;
+    tags?: string[];
+    dependsOn?: string[];
+    /** Serialized bytes, and bytes as last persisted (after compression /
+     * encryption) — see `EntrySizes`. */
+    sizes?: EntrySizes | null;
+    /** When the value was last set or refreshed (ms timestamp). null for
+     * records stored before this was tracked. */
+    updatedAt?: number | null;
+}
+
+/** Filter for `query()` / `entries()`. Every given field must match. */
+interface QueryFilter {
+    /** Key prefix — a string, or an array key prefix like `invalidatePattern()` takes */
+    prefix?: string | readonly unknown[];
+    /** Same patterns as `invalidatePattern()`: `*`-wildcard string, RegExp or array prefix */
+    pattern?: string | RegExp | readonly unknown[];
+    tag?: string;
+    fetcherId?: string;
+    /** true: only expired entries, false: only fresh ones */
+    expired?: boolean;
+    /** Only entries whose value was set more than this many ms ago */
+    olderThan?: number;
+    /** `query()` only: stop after this many results */
+    limit?: number;
+}
+
+/** An entry as returned by `query()` / `entries()` */
+interface QueryResult<T = any> {
+    /** Hashed key — pass it back to `get()`, `remove()` or a bulk operation */
+    key: string;
+    value: T;
+    ttl: number | null;
+    expiry: number;
+    expired: boolean;
+    updatedAt: number | null;
+    fetcherId: string | null;
+    tags: string[];
+    dependsOn: string[];
+    priority: number;
+    pinned: boolean;
+    sizes: EntrySizes;
+    /** Whether the entry is in memory. With `lazyLoad`, entries read from
+     * storage for a query aren't loaded by it. */
+    loaded: boolean;
+}
+
+interface RotationResult {
+    /** Key version records are now encrypted with */
+    keyVersion: number;
+    /** How many records were re-encrypted */
+    reencrypted: number;
+    /** Encrypted records neither key could read — left as they were */
+    unreadable: { key: string; keyVersion: number }[];
+}
+
+interface EntrySizes {
+    /** Serialized size — what the entry counts against `maxBytes.memory` */
+    original: number;
+    /** Size as persisted — what it counts against `maxBytes.persistent`.
+     * 0 when the entry isn't persisted. */
+    stored: number;
+}
+
+/** What a custom `evictionPolicy` comparator sees for each candidate. */
+interface EvictionCandidate {
+    key: string;
+    /** Last read/write time (ms); 0 if not accessed since load */
+    lastAccess: number;
+    /** Reads + writes since load */
+    accessCount: number;
+    expiry: number;
+    priority: number;
+    sizes: EntrySizes;
+}
+
+/** Built-in policy, or a comparator returning < 0 when `a` should be
+ * evicted before `b`. Only breaks ties between equal priorities. */
+type EvictionPolicy =
+    | "lru"
+    | "lfu"
+    | "soonest-expiry"
+    | ((a: EvictionCandidate, b: EvictionCandidate) => number);
+
+/** Byte budgets for `maxBytes`; an omitted side is unlimited. */
+interface ByteBudget {
+    memory?: number;
+    persistent?: number;
+}
+
+interface WriteBehindOptions {
+    /** How long a queued write may wait for others to batch with, in ms */
+    delay?: number;
+}
+
+interface CompressionOptions {
+    /** Only values whose serialized form is at least this many bytes are
+     * compressed. Default: 1024 */
+    threshold?: number;
+    /** Default: "gzip". "lzw" is a small built-in codec, which is also what
+     * "gzip" and "deflate" fall back to without CompressionStream. */
+    format?: "gzip" | "deflate" | "lzw";
 }
 
 interface GetOptions {
-    /** Extend TTL on access (default: true) */
+    /** Extend TTL on access (default: true). The extension is stored
+     * lazily — see `extensionWriteThreshold`. */
     extend?: boolean;
     /** If expired, return the stale value immediately and revalidate in the
      * background instead of blocking. Always the behavior for "on-demand"
@@ -53,6 +160,97 @@ interface GetOptions {
 interface SetOptions {
     /** Refresh strategy for this key (default: "background") */
     refreshPolicy?: RefreshPolicy;
+    /** Tags for group invalidation via `invalidateTag()`/`removeTag()`.
+     * Persisted and synced across tabs. Omit to keep the key's existing tags. */
+    tags?: string[];
+    /** Keys this value is derived from. Invalidating, removing or
+     * refreshing any of them cascades to this key, in dependency order.
+     * Throws if it would create a cycle. Omit to keep the existing list. */
+    dependsOn?: BiscuitKey[];
+    /** Encrypt this key at rest (`true`, needs a `secret`; if it can't be
+     * encrypted it stays memory-only, whatever `encryption` says) or skip
+     * encryption for it (`false`, e.g. for non-sensitive bulk data). Omit
+     * to keep the key's existing setting — by default, encrypted whenever
+     * a `secret` is set. */
+    encrypt?: boolean;
+    /** Eviction priority — under `maxSize` / `maxBytes` / quota pressure,
+     * lower priorities are evicted first. Default: 0. Omit to keep the
+     * key's existing priority. */
+    priority?: number;
+    /** Never evict this key to make room (it still expires and can be
+     * removed explicitly). Omit to keep the existing setting. */
+    pinned?: boolean;
+}
+
+interface MutateOptions<T, R = unknown> {
+    /** Makes the mutation optimistic: the new value is applied and synced
+     * immediately, then this is awaited (e.g. your API call). */
+    commit?: (newValue: T) => Promise<R>;
+    /** Restore (and re-broadcast) the previous value if `commit` rejects.
+     * Skipped if the key changed in the meantime. Default: true. */
+    rollbackOnError?: boolean;
+    /** When `commit` resolves, replace the optimistic value with the
+     * server's response (`true`), or with whatever this function returns.
+     * An `undefined` result keeps the optimistic value. Default: false. */
+    reconcile?: boolean | ((response: R, optimisticValue: T) => T | undefined | Promise<T | undefined>);
+}
+
+/** One page of a paginated entry */
+interface Page<D, C> {
+    /** The cursor this page was fetched with */
+    cursor: C | null;
+    data: D;
+    nextCursor: C | null;
+    prevCursor: C | null;
+}
+
+/** The value stored under a paginated key */
+interface PaginatedValue<D, C> {
+    pages: Page<D, C>[];
+}
+
+interface PaginatedOptions<D, C> extends SetOptions {
+    /** Fetch one page. Resolve `nextCursor`/`prevCursor` as `null` (or
+     * omit them) when there's nothing further in that direction. */
+    fetchPage: (
+        cursor: C | null,
+        context: { direction: "initial" | "next" | "previous"; signal?: AbortSignal }
+    ) => Promise<{ data: D; nextCursor?: C | null; prevCursor?: C | null }>;
+    /** Cursor of the first page (default: null) */
+    initialCursor?: C | null;
+    /** Stable fetcher ID, so the feed's refresher can be rebound after a
+     * reload (see `PersistableFetcher`). Calling `paginated()` again with
+     * the same ID rebinds it. */
+    id?: string;
+    /** TTL for the whole feed, in ms (default: 5 minutes) */
+    ttl?: number;
+    /** Keep at most this many pages, dropping from the far end */
+    maxPages?: number;
+}
+
+interface PaginatedHandle<D, C> {
+    /** The (hashed) cache key holding the pages */
+    key: string;
+    /** The loaded pages — fetching the first one on a cache miss */
+    get(): Promise<PaginatedValue<D, C>>;
+    /** Append the page after the last loaded one (no-op at the end).
+     * Calls made while one is loading share it. */
+    fetchNextPage(): Promise<PaginatedValue<D, C>>;
+    /** Prepend the page before the first loaded one (no-op at the start) */
+    fetchPreviousPage(): Promise<PaginatedValue<D, C>>;
+    hasNextPage(): boolean;
+    hasPreviousPage(): boolean;
+    /** Refetch every loaded page together */
+    refresh(): Promise<boolean>;
+    /** Subscribe to the feed's value. Returns an unsubscribe function. */
+    subscribe(fn: (value: PaginatedValue<D, C> | null) => void): () => void;
+}
+
+interface GetOrFetchOptions extends SetOptions {
+    /** TTL for a freshly loaded value, in ms (default: 5 minutes) */
+    ttl?: number;
+    /** Options for the initial cache read */
+    getOptions?: GetOptions;
 }
 
 interface WaitForOptions {
@@ -68,20 +266,143 @@ interface UsageEstimate {
 }
 
 interface SetManyItem<T = any> {
-    key: string;
+    key: BiscuitKey;
     value: T;
     ttl?: number;
     fetcher?: Fetcher<T> | PersistableFetcher<T>;
     options?: SetOptions;
 }
 
+/** Logical clock stamped on every write — ordered by `clock`, then `tabId`. */
+interface EntryVersion {
+    clock: number;
+    tabId: string;
+}
+
+/** One side of a concurrent cross-tab write, as passed to `resolveConflict`. */
+interface ConflictSide<T = any> {
+    key: string;
+    value: T;
+    expiry: number;
+    ttl: number | null;
+    fetcherId: string | null;
+    refreshPolicy: RefreshPolicy;
+    tags: string[];
+    dependsOn: string[];
+    version: EntryVersion | null;
+    /** The version this write replaced */
+    prev: EntryVersion | null;
+}
+
+/** "local" / "remote" keep that side; `{ value }` replaces both with a merge;
+ * anything else falls back to the higher version. */
+type ConflictResolution<T = any> = "local" | "remote" | { value: T } | void;
+
+/** Turns cached values into text for persistence, encryption and the
+ * localStorage sync fallback — and back. */
+interface Serializer {
+    encode(value: any): string;
+    decode(text: string): any;
+}
+
+/** A persisted record, as handed to a storage adapter. Adapters must store
+ * it as-is and key it by `key`; every other field belongs to Biscuit. */
+interface BiscuitRecord {
+    key: string;
+    [field: string]: any;
+}
+
+/** A plain record store — the shape of an adapter's `outbox`. */
+interface RecordStore {
+    get(key: string): BiscuitRecord | undefined | Promise<BiscuitRecord | undefined>;
+    getAll(): BiscuitRecord[] | Promise<BiscuitRecord[]>;
+    put(record: BiscuitRecord): unknown;
+    /** Optional: write several records at once — ideally atomically, in one
+     * transaction. Without it, batches are `put()` one record at a time. */
+    putMany?(records: BiscuitRecord[]): unknown;
+    delete(key: string): unknown;
+    clear(): unknown;
+}
+
+/** Record fields adapters can look records up by (see `keysByIndex`) */
+type RecordIndex = "expiry" | "fetcherId" | "tags";
+
+/**
+ * Persistence backend. Every method may be sync or return a Promise.
+ * Use one of the built-in factories, or implement your own.
+ */
+interface StorageAdapter extends RecordStore {
+    /** Optional label shown in debug logs */
+    name?: string;
+    /** Whether other tabs see this store's writes (default: true). When
+     * false, cross-tab updates always carry the value inline. */
+    shared?: boolean;
+    /** Called once before any other method. Throwing (or rejecting) makes
+     * Biscuit fall back to memory-only mode for the session. */
+    open?(): void | Promise<void>;
+    /** Optional: keys of the records whose `index` field matches — equal
+     * to `equals`, or less than `below`. For "tags", a record matches if
+     * any of its tags does. Without it, Biscuit filters `getAll()`. */
+    keysByIndex?(index: RecordIndex, query?: { equals?: unknown; below?: number }): string[] | Promise<string[]>;
+    /** Optional: the distinct values of an index (e.g. every stored fetcherId) */
+    indexValues?(index: RecordIndex): unknown[] | Promise<unknown[]>;
+    /** A separate store for queued offline mutations (see `enqueue()`).
+     * Without one, the outbox lives in memory and doesn't survive a reload. */
+    outbox?: RecordStore;
+    /** Called on destroy() */
+    close?(): unknown;
+}
+
+/** Built-in storage adapters, selectable by name */
+type StorageOption = "indexedDB" | "localStorage" | "memory" | StorageAdapter;
+
+/** A queued offline mutation */
+interface OutboxItem<P = any> {
+    /** Unique id; ids sort in enqueue order */
+    key: string;
+    type: string;
+    payload: P;
+    /** The cache key passed to `enqueue()`, hashed, if any */
+    cacheKey: string | null;
+    /** Delivery attempts so far */
+    attempts: number;
+    createdAt: number;
+}
+
+/** Sends one queued mutation to the server. Rejecting triggers a retry. */
+type OutboxHandler<P = any> = (
+    payload: P,
+    info: { id: string; type: string; key: string | null; attempt: number }
+) => Promise<unknown>;
+
+/** What to do with an outbox item whose handler hit a conflict: send it
+ * again, drop it, or send it again with a rewritten payload. */
+type OutboxConflictResolution = "retry" | "drop" | { payload: any };
+
 interface BiscuitConfig {
     /** Unique namespace → creates a separate IndexedDB per namespace */
     namespace?: string;
 
-    /** Max items in memory (LRU eviction if exceeded) */
+    /** Max items in memory; entries are evicted in `evictionPolicy`
+     * order if exceeded */
     maxSize?: number;
 
+    /** Byte budget, measured from each entry's serialized size; entries
+     * are evicted in `evictionPolicy` order if exceeded. A number caps
+     * memory and storage alike. */
+    maxBytes?: number | ByteBudget;
+
+    /** Don't read the whole store on startup: `ready()` resolves once
+     * storage is open, and entries are read on first use. `maxSize` and
+     * `maxBytes.memory` then only bound what's kept in memory — evicted
+     * entries stay on disk. Memory-only APIs (`keys()`, `subscribe()`
+     * snapshots, tags, dependencies) only see loaded entries. Default: false */
+    lazyLoad?: boolean;
+
+    /** Which entries go first when a limit is hit (default: "lru").
+     * Pinned keys are never evicted. */
+    evictionPolicy?: EvictionPolicy;
+
     /** How often the garbage collector sweeps expired entries (default: 1 hour) */
     gcInterval?: number;
 
@@ -94,6 +415,19 @@ interface BiscuitConfig {
     /** Optional secret key for AES-GCM encryption */
     secret?: string;
 
+    /** "best-effort" (default) persists in plaintext if encryption fails
+     * or is unavailable, except for keys set with `encrypt: true`. "strict"
+     * refuses to persist such values instead (they stay memory-only and the
+     * failure goes to `onError`). */
+    encryption?: "best-effort" | "strict";
+
+    /** Store encrypted records under an HMAC of their key instead of the
+     * key itself; the real key, TTL, fetcherId, tags and dependsOn are kept
+     * inside the encrypted payload (only the expiry stays readable, for
+     * GC). Needs a `secret`. Existing records are moved on load. Keys set
+     * with `encrypt: false` are stored under their real key. Default: false */
+    obfuscateKeys?: boolean;
+
     /** Enable debug logging at construction time */
     debug?: boolean;
 
@@ -118,6 +452,100 @@ interface BiscuitConfig {
      * failures, IndexedDB open failures, etc.) so they can be piped into
      * production error tracking instead of only reaching the console. */
     onError?: (error: unknown, context: string) => void;
+
+    /** Where entries are persisted (default: "indexedDB"). Pass a built-in
+     * name or a custom adapter. Falls back to memory-only if it can't be
+     * opened. */
+    storage?: StorageOption;
+
+    /** How values are encoded for storage and encryption (default:
+     * `richSerializer`, which keeps Date, Map, Set, BigInt, typed arrays
+     * and undefined intact). */
+    serializer?: Serializer;
+
+    /** Compress big persisted values (before encrypting them). `true` uses
+     * the defaults. Default: false */
+    compression?: boolean | CompressionOptions;
+
+    /** TTL extensions from `get()` are kept in memory and only written to
+     * storage (expiry only, the value isn't re-encrypted) once the stored
+     * expiry has less than this share of the TTL left — or when the page is
+     * hidden, on `flush()` and on `destroy()`. 0–1, default: 0.5. */
+    extensionWriteThreshold?: number;
+
+    /** Queue writes in memory and persist them in batches: `delay` ms after
+     * the first queued write (default: 1000), on `flush()`, when the page
+     * is hidden, and on `destroy()`. Writes still queued when a tab dies
+     * are lost. Default: false */
+    writeBehind?: boolean | WriteBehindOptions;
+
+    /** Elect one leader among the tabs sharing this namespace to run
+     * scheduled and on-demand refreshes for keys with a persistable
+     * fetcher (`{ id, fn }`); the other tabs receive the results through
+     * cross-tab sync. Uses Web Locks, or a BroadcastChannel heartbeat where
+     * those aren't available. Register the same fetcher ids in every tab.
+     * A tab that hears nothing back within 3 s plus `fetchTimeout` (10 s
+     * without one) refreshes the key itself.
+     * Default: false (every tab refreshes for itself). */
+    leaderElection?: boolean;
+
+    /** How cross-tab updates carry values. "inline" posts the value itself;
+     * "reference" posts only the key, version and metadata, and the other
+     * tabs re-read the record from shared storage; "auto" (default) uses
+     * references for values over `inlineBroadcastLimit` and for values that
+     * can't be structured-cloned. */
+    broadcastMode?: "inline" | "reference" | "auto";
+
+    /** Size (in JSON characters) above which "auto" broadcasts by reference.
+     * Default: 65536 */
+    inlineBroadcastLimit?: number;
+
+    /** Picks the winner when two tabs write the same key concurrently
+     * (neither had seen the other's write). Stale, delayed updates are
+     * dropped before this is asked. Every involved tab calls it — with
+     * `local` and `remote` swapped — so it must pick the same winner either
+     * way for the tabs to converge. Synchronous. Default: the write with the
+     * higher version wins. */
+    resolveConflict?: <T = any>(local: ConflictSide<T>, remote: ConflictSide<T>) => ConflictResolution<T>;
+
+    /** Called when an outbox handler fails with a conflict (see
+     * `isOutboxConflict`). Without it, conflicting items are dropped and
+     * reported through `onError`. */
+    onOutboxConflict?: (item: OutboxItem, error: unknown) => OutboxConflictResolution | Promise<OutboxConflictResolution>;
+
+    /** Decides which outbox handler errors are conflicts rather than
+     * transient failures. Default: `error.status === 409` or
+     * `error.name === "ConflictError"`. */
+    isOutboxConflict?: (error: any) => boolean;
+
+    /** Version of the shape of your cached values (default: 1). Persisted
+     * with every record and broadcast with every change; bump it when a
+     * deploy changes what you cache. */
+    schemaVersion?: number;
+
+    /** Per-version migration steps: `migrations[n]` turns a version `n - 1`
+     * value into a version `n` value. Return `undefined` to discard the
+     * entry. Entries with a gap in the chain are discarded. */
+    migrations?: Record<number, (value: any, key: string) => any | Promise<any>>;
+
+    /** Alternative to `migrations`: one hook that migrates straight from
+     * `fromVersion` to the current `schemaVersion`. Return `undefined` to
+     * discard the entry. */
+    migrate?: (value: any, fromVersion: number, key: string) => any | Promise<any>;
+
+    /** What to do with entries from another schemaVersion (default:
+     * "migrate"). "drop" discards them all without running migrations. */
+    onSchemaMismatch?: "migrate" | "drop";
+}
+
+interface MigrationReport {
+    schemaVersion: number;
+    /** Entries migrated during hydration, and the version they came from */
+    migrated: { key: string; fromVersion: number }[];
+    /** Entries dropped during hydration (no migration path, a migration
+     * returned `undefined`/threw, or "drop" mode). Entries written by a
+     * newer schemaVersion are skipped but left in storage. */
+    discarded: { key: string; fromVersion: number }[];
 }
 
 interface BiscuitAPI {
@@ -141,7 +569,7 @@ interface BiscuitAPI {
      * @throws if `key` is `"__meta__"` — that key is reserved internally.
      */
     set<T>(
-        key: string,
+        key: BiscuitKey,
         value: T,
         ttl?: number,
         fetcher?: Fetcher<T> | PersistableFetcher<T>,
@@ -153,15 +581,36 @@ interface BiscuitAPI {
      * @param key Cache key
      * @param options Extend TTL or return stale value while revalidating
      */
-    get<T>(key: string, options?: GetOptions): Promise<T | null>;
+    get<T>(key: BiscuitKey, options?: GetOptions): Promise<T | null>;
 
     /**
-     * Mutate a cached value using a mutator function.
+     * Read-through get: returns the cached value, or — on a miss — calls
+     * the fetcher, caches the result like `set()` (registering the fetcher
+     * for later refreshes) and returns it. Concurrent calls for the same
+     * key share one in-flight load. Fetcher errors reject the call.
      */
-    mutate<T>(key: string, mutator: Mutator<T>): Promise<void>;
+    getOrFetch<T>(
+        key: BiscuitKey,
+        fetcher: Fetcher<T> | PersistableFetcher<T>,
+        options?: GetOrFetchOptions
+    ): Promise<T>;
 
-    /** Remove a specific key from Biscuit */
-    remove(key: string): Promise<void>;
+    /**
+     * A paginated / infinite-list entry: all loaded pages live under one
+     * key, so they refresh together (in the background, like any fetcher),
+     * persist and sync across tabs as a single unit.
+     */
+    paginated<D = any, C = any>(key: BiscuitKey, options: PaginatedOptions<D, C>): PaginatedHandle<D, C>;
+
+    /**
+     * Mutate a cached value using a mutator function. Pass `commit` to make
+     * it an optimistic update that rolls back if the server call fails —
+     * the returned promise then rejects with `commit`'s error.
+     */
+    mutate<T, R = unknown>(key: BiscuitKey, mutator: Mutator<T>, options?: MutateOptions<T, R>): Promise<void>;
+
+    /** Remove a specific key from Biscuit. Keys that depend on it are invalidated. */
+    remove(key: BiscuitKey): Promise<void>;
 
     /** Clear the entire Biscuit store (propagates to other open tabs) */
     clear(): Promise<void>;
@@ -175,43 +624,90 @@ interface BiscuitAPI {
     /** Subscribe to updates for a specific key.
      * Returns an unsubscribe function.
      */
-    subscribeKey<T>(key: string, fn: (value: T | null) => void): () => void;
+    subscribeKey<T>(key: BiscuitKey, fn: (value: T | null) => void): () => void;
 
     /** Force-refresh a specific key (ignores TTL). Concurrent calls for the
-     * same key share one in-flight fetch. Returns whether it succeeded. */
-    refresh(key: string): Promise<boolean>;
+     * same key share one in-flight fetch. On success, keys that depend on
+     * it are refreshed in the background, in dependency order. Returns
+     * whether it succeeded. */
+    refresh(key: BiscuitKey): Promise<boolean>;
 
     /**
      * Force a key to expire immediately, so the next `get()` — or an
-     * attached fetcher — picks up a fresh value. Returns `false` if the
-     * key doesn't exist.
+     * attached fetcher — picks up a fresh value. Keys that depend on it
+     * (see `SetOptions.dependsOn`) are invalidated too, and refreshed after
+     * it. Returns `false` if the key doesn't exist.
      */
-    invalidate(key: string): Promise<boolean>;
+    invalidate(key: BiscuitKey): Promise<boolean>;
 
     /**
      * Invalidate every key matching a pattern. Accepts a `*`-wildcard
-     * string (e.g. `"friends-*"`) or a RegExp. Returns the matched keys.
+     * string (e.g. `"friends-*"`), a RegExp, or an array key prefix —
+     * `["user", 42]` matches `["user", 42]` and `["user", 42, "posts"]`.
+     * Returns the matched keys.
      */
-    invalidatePattern(pattern: string | RegExp): Promise<string[]>;
-
-    /** Set multiple keys in one call. */
+    invalidatePattern(pattern: string | RegExp | readonly unknown[]): Promise<string[]>;
+
+    /** Entries matching `filter`, with their metadata. With `lazyLoad`,
+     * entries not in memory are read from storage too (without loading
+     * them), narrowed by the store's indexes where possible. */
+    query<T = any>(filter?: QueryFilter): Promise<QueryResult<T>[]>;
+
+    /** Like `query()`, but yields entries one at a time, reading stored
+     * ones only as the iteration gets to them:
+     * `for await (const entry of cache.entries({ tag: "feed" })) ...` */
+    entries<T = any>(filter?: Omit<QueryFilter, "limit">): AsyncIterableIterator<QueryResult<T>>;
+
+    /** Remove the given keys, or every key a query filter matches — with a
+     * single notification, and a single message to other tabs. Returns the
+     * removed keys. */
+    removeMany(target: BiscuitKey[] | QueryFilter): Promise<string[]>;
+
+    /** Invalidate the given keys, or every key a query filter matches —
+     * with a single notification, and a single message to other tabs.
+     * Returns the invalidated keys. */
+    invalidateMany(target: BiscuitKey[] | QueryFilter): Promise<string[]>;
+
+    /** Refresh the given keys, or every key a query filter matches, one at
+     * a time; other tabs get the new values in one message at the end.
+     * Returns the keys refreshed successfully. */
+    refreshMany(target: BiscuitKey[] | QueryFilter): Promise<string[]>;
+
+    /** Invalidate every key carrying `tag`. Returns the matched keys. */
+    invalidateTag(tag: string): Promise<string[]>;
+
+    /** Remove every key carrying `tag`. Returns the removed keys. */
+    removeTag(tag: string): Promise<string[]>;
+
+    /** Keys currently carrying `tag`. */
+    keysByTag(tag: string): string[];
+
+    /** Set multiple keys as one batch: validated up front (nothing is set
+     * if an item is invalid), persisted in one storage transaction, one
+     * cross-tab broadcast and one notification. Resolves with one
+     * `undefined` per item. */
     setMany(items: SetManyItem[]): Promise<void[]>;
 
-    /** Get multiple keys in one call, returned as a `{ key: value }` map. */
-    getMany<T = any>(keys: string[], options?: GetOptions): Promise<Record<string, T | null>>;
+    /** Write everything queued now: `writeBehind` writes, and TTL
+     * extensions not stored yet. */
+    flush(): Promise<void>;
+
+    /** Get multiple keys in one call, returned as a `{ key: value }` map
+     * (structured keys appear under their hashed string form). */
+    getMany<T = any>(keys: BiscuitKey[], options?: GetOptions): Promise<Record<string, T | null>>;
 
     /**
      * Resolve once the given key has a non-null value — immediately if it
      * already does, or the first time it's set/refreshed otherwise.
      */
-    waitFor<T = any>(key: string, options?: WaitForOptions): Promise<T>;
+    waitFor<T = any>(key: BiscuitKey, options?: WaitForOptions): Promise<T>;
 
     /** Best-effort storage usage estimate. Returns `null` where unsupported
      * (e.g. Node/SSR, or browsers without the Storage API). */
     estimateUsage(): Promise<UsageEstimate | null>;
 
     /** Check if a key exists and is still fresh (without extending TTL) */
-    has(key: string): boolean;
+    has(key: BiscuitKey): boolean;
 
     /** Get all keys currently in Biscuit */
     keys(): string[];
@@ -228,12 +724,47 @@ interface BiscuitAPI {
     /** Returns true if the browser is online */
     isOnline(): boolean;
 
+    /** Whether this tab is the elected refresh leader (always true when
+     * `leaderElection` is off) */
+    isLeader(): boolean;
+
     /** Register a fetcher function for a given ID */
     registerFetcher<T>(id: string, fn: Fetcher<T>): void;
 
     /** Get a list of fetcher IDs that are missing (persisted but not registered) */
     getMissingFetcherIds(): string[];
 
+    /** What hydration did with entries persisted under another
+     * schemaVersion. Complete once `ready()` resolves. */
+    getMigrationReport(): MigrationReport;
+
+    /**
+     * Re-encrypt every persisted record with `newSecret` (and a fresh
+     * salt). Rejects if `oldSecret` doesn't match the current key. Safe to
+     * interrupt: both keys stay readable until it finishes, and calling it
+     * again with the same secrets resumes. Other tabs switch to the new key
+     * as soon as it starts; create future instances with `newSecret`.
+     */
+    rotateSecret(oldSecret: string, newSecret: string): Promise<RotationResult>;
+
+    /**
+     * Queue a mutation for the server. It's persisted in the outbox and
+     * delivered — in order, by whichever tab holds the outbox lock — through
+     * the handler registered for `type`, as soon as the browser is online.
+     * Failed deliveries retry with `retryDelay` backoff, then wait for the
+     * next time the browser comes online. Resolves with the item's id.
+     */
+    enqueue<P = any>(type: string, payload: P, options?: { key?: BiscuitKey }): Promise<string>;
+
+    /** Register the function that delivers outbox items of `type`. */
+    registerOutboxHandler<P = any>(type: string, fn: OutboxHandler<P>): void;
+
+    /** Items still waiting in the outbox, oldest first. */
+    getOutbox(): Promise<OutboxItem[]>;
+
+    /** Try to deliver the outbox now. */
+    flushOutbox(): Promise<{ sent: number; remaining: number }>;
+
     /** Inspect internal state (for debugging/testing) */
     inspect(): any;
 
@@ -253,12 +784,68 @@ interface BiscuitFactory {
 declare const Biscuit: BiscuitAPI;
 declare const createBiscuit: BiscuitFactory;
 
+/** The string a structured key is stored under (strings are returned as-is). */
+declare function hashKey(key: BiscuitKey): string;
+
+/** The default adapter: one IndexedDB database + object store per namespace. */
+declare function createIndexedDBStorage(options?: {
+    dbName?: string;
+    storeName?: string;
+    outboxStoreName?: string;
+    /** How long `open()` waits on other tabs holding an older version of
+     * the database open before it rejects — and Biscuit falls back to
+     * memory-only for the session. Default: 5000 ms */
+    blockedTimeout?: number;
+}): StorageAdapter;
+/** Records stored as JSON in localStorage under `${prefix}:${key}`. */
+declare function createLocalStorageStorage(options?: { prefix?: string }): StorageAdapter;
+/** In-memory only — nothing survives a reload. */
+declare function createMemoryStorage(): StorageAdapter;
+
+/** JSON plus Date, Map, Set, BigInt, ArrayBuffer / typed arrays / DataView,
+ * undefined, NaN and ±Infinity. The default serializer. */
+declare const richSerializer: Serializer;
+
 export default Biscuit;
 export {
     createBiscuit,
+    hashKey,
+    richSerializer,
+    Serializer,
+    CompressionOptions,
+    EntrySizes,
+    WriteBehindOptions,
+    ByteBudget,
+    EvictionPolicy,
+    EvictionCandidate,
+    RotationResult,
+    BiscuitKey,
+    createIndexedDBStorage,
+    createLocalStorageStorage,
+    createMemoryStorage,
+    StorageAdapter,
+    RecordStore,
+    RecordIndex,
+    QueryFilter,
+    QueryResult,
+    OutboxItem,
+    OutboxHandler,
+    OutboxConflictResolution,
+    StorageOption,
+    BiscuitRecord,
+    EntryVersion,
+    ConflictSide,
+    ConflictResolution,
+    MigrationReport,
     BiscuitAPI,
     GetOptions,
     SetOptions,
+    GetOrFetchOptions,
+    MutateOptions,
+    Page,
+    PaginatedValue,
+    PaginatedOptions,
+    PaginatedHandle,
     WaitForOptions,
     UsageEstimate,
     SetManyItem,
@@ -17,38 +17,111 @@
 function createBiscuit({
   namespace = "",
   maxSize = null,
+  maxBytes = null, // number | { memory, persistent } — byte budgets, enforced like maxSize
+  lazyLoad = false, // true: don't read the whole store on startup — entries load on first use, see loadEntry()
+  evictionPolicy = "lru", // "lru" | "lfu" | "soonest-expiry" | (a, b) => number — see evictionOrder()
   gcInterval = 60 * 60 * 1000, // default GC every hour
   expiredRetention = 24 * 60 * 60 * 1000, // keep expired entries for 24 hours before GC removal
   quotaWarningThreshold = 0.9,
   secret = null,
+  obfuscateKeys = false, // with a secret: store records under an HMAC of the key, real key encrypted inside
+  encryption = "best-effort", // "strict": never fall back to plaintext — don't persist instead
   debug = false,
   onMissingFetchers = null, // optional callback: async (missingIds:Array<string>) => void
   maxRetries = 1, // how many times to retry a failed background refresh
   retryDelay = (attempt) => Math.min(500 * 2 ** attempt, 10000), // backoff fn: attempt(1-based) -> ms
   fetchTimeout = null, // ms; null = no timeout. Caps how long a single fetcher() call may run.
   onError = null, // optional (error, context: string) => void — hook for telemetry/crash reporting
+  extensionWriteThreshold = 0.5, // get() TTL extensions are stored once less than this share of the ttl is left on disk
+  writeBehind = false, // true | { delay: ms } — queue writes and persist them in batches, see flushWrites()
+  compression = false, // true | { threshold: bytes, format: "gzip" | "deflate" } — compress big persisted values
+  serializer = richSerializer, // { encode(value) -> string, decode(string) -> value } for persisted / encrypted values
+  storage: storageOption = null, // "indexedDB" (default) | "localStorage" | "memory" | adapter object
+  broadcastMode = "auto", // "inline" | "reference" | "auto" — see broadcastChange()
+  inlineBroadcastLimit = 64 * 1024, // "auto": values bigger than this (JSON chars) are broadcast by reference
+  resolveConflict = null, // (local, remote) => "local" | "remote" | { value } for concurrent cross-tab writes
+  leaderElection = false, // tabs elect one leader to run scheduled/on-demand refreshes for everyone
+  onOutboxConflict = null, // optional async (item, error) => "retry" | "drop" | { payload } — see drainOutbox()
+  isOutboxConflict = (error) => error?.status === 409 || error?.name === "ConflictError",
+  schemaVersion = 1, // bump when the shape of cached values changes
+  migrations = null, // optional { [toVersion]: (value, key) => newValue } — one step per version
+  migrate = null, // optional (value, fromVersion, key) => newValue | undefined — alternative to `migrations`
+  onSchemaMismatch = "migrate", // "migrate" | "drop" — "drop" discards every entry from another version
 } = {}) {
+  if (!["migrate", "drop"].includes(onSchemaMismatch))
+    throw new Error(
+      `onSchemaMismatch must be "migrate" or "drop" (got "${onSchemaMismatch}")`
+    );
+
+  if (typeof evictionPolicy !== "function" && !["lru", "lfu", "soonest-expiry"].includes(evictionPolicy))
+    throw new Error(
+      `evictionPolicy must be "lru", "lfu", "soonest-expiry" or a comparator function (got "${evictionPolicy}")`
+    );
+
+  if (typeof extensionWriteThreshold !== "number" || extensionWriteThreshold < 0 || extensionWriteThreshold > 1)
+    throw new Error(`extensionWriteThreshold must be a number from 0 to 1 (got "${extensionWriteThreshold}")`);
+
+  const writeBehindConfig = !writeBehind
+    ? null
+    : { delay: 1000, ...(typeof writeBehind === "object" ? writeBehind : {}) };
+
+  // maxBytes: one number caps both memory and storage, or budget them apart
+  const byteBudget =
+    maxBytes == null
+      ? null
+      : typeof maxBytes === "number"
+        ? { memory: maxBytes, persistent: maxBytes }
+        : { memory: maxBytes.memory ?? null, persistent: maxBytes.persistent ?? null };
+
   const prefix = namespace ? `-${namespace}` : "";
   const DB_NAME = `biscuit-store${prefix}`;
   const STORE_NAME = `biscuit-jar${prefix}`;
+  const OUTBOX_STORE_NAME = `biscuit-outbox${prefix}`;
+  const OUTBOX_LOCK_NAME = `biscuit-outbox${prefix}`;
+  const ROTATION_LOCK_NAME = `biscuit-rotate${prefix}`;
   const CHANNEL_NAME = `biscuit${prefix}`;
   const STORAGE_KEY = `biscuit-sync${prefix}`;
 
   // --- SSR / non-browser support, and graceful degradation: fall back to
   // memory-only operation instead of throwing when indexedDB/window aren't
-  // present (Node, RN, SSR) OR when IndexedDB exists but fails to open
+  // present (Node, RN, SSR) OR when the storage adapter fails to open
   // (private-browsing restrictions, storage disabled by policy, a
   // corrupted DB, etc.) — see init() below for the latter case.
   const idbAvailable = typeof indexedDB !== "undefined";
-  let idbUsable = idbAvailable; // flips to false at runtime if openIDB() fails
   const windowAvailable = typeof window !== "undefined";
-  if (!idbAvailable) {
+  let storage = resolveStorage(storageOption); // reassigned to memory if open() fails
+  if (!storage) {
     console.warn(
       "[BISCUIT] indexedDB is unavailable in this environment — running in memory-only mode (nothing will persist across reloads)."
     );
+    storage = createMemoryStorage();
+  }
+
+  // "indexedDB" (default) | "localStorage" | "memory" | a custom adapter object.
+  // Returns null when the default IndexedDB adapter can't be used here.
+  function resolveStorage(option) {
+    if (option && typeof option === "object") {
+      for (const method of ["get", "getAll", "put", "delete", "clear"])
+        if (typeof option[method] !== "function")
+          throw new Error(`storage adapter is missing a ${method}() method`);
+      return option;
+    }
+    if (option == null || option === "indexedDB")
+      return idbAvailable
+        ? createIndexedDBStorage({
+            dbName: DB_NAME,
+            storeName: STORE_NAME,
+            outboxStoreName: OUTBOX_STORE_NAME,
+          })
+        : null;
+    if (option === "localStorage")
+      return createLocalStorageStorage({ prefix: DB_NAME });
+    if (option === "memory") return createMemoryStorage();
+    throw new Error(
+      `storage must be "indexedDB", "localStorage", "memory", or an adapter object (got "${option}")`
+    );
   }
 
-  let db;
   let debugEnabled = !!debug;
   let destroyed = false;
 
@@ -56,6 +129,7 @@ function createBiscuit({
   const refreshers = new Map(); // key -> function
   const refreshTimers = new Map();
   const accessTimestamps = new Map();
+  const accessCounts = new Map(); // key -> reads + writes, for evictionPolicy "lfu"
 
   // --- existing global subscribers
   const subscribers = new Set();
@@ -66,7 +140,9 @@ function createBiscuit({
 
   const refreshGenerations = new Map();
   const pendingRefreshes = new Map(); // key -> in-flight refresh Promise<boolean>
+  const pendingLoads = new Map(); // key -> in-flight getOrFetch() initial load Promise
   const activeAbortControllers = new Map(); // key -> AbortController for the current fetcher() call
+  const pageAbortControllers = new Map(); // key -> Set of AbortControllers for in-flight paginated() page loads
   const abortSupported = typeof AbortController !== "undefined";
 
   function sleep(ms) {
@@ -124,10 +200,29 @@ function createBiscuit({
   }
 
   // --- encryption setup (per-DB salt, fallback if no WebCrypto)
-  const cryptoAvailable = typeof crypto !== "undefined" && crypto.subtle;
+  const cryptoAvailable = typeof crypto !== "undefined" && !!crypto.subtle;
+  if (encryption !== "best-effort" && encryption !== "strict")
+    throw new Error(`encryption must be "best-effort" or "strict" (got "${encryption}")`);
+  const strictEncryption = encryption === "strict";
+  if (obfuscateKeys && !secret) throw new Error("obfuscateKeys needs a `secret`");
   let useEncryption = !!secret && cryptoAvailable;
   if (secret && !cryptoAvailable)
-    console.warn("[BISCUIT] WebCrypto unavailable — encryption disabled.");
+    console.warn(
+      strictEncryption
+        ? "[BISCUIT] WebCrypto unavailable — encrypted keys will stay memory-only (strict encryption)."
+        : "[BISCUIT] WebCrypto unavailable — encryption disabled (keys set with encrypt: true stay memory-only)."
+    );
+
+  // whether an entry's value must be encrypted at rest: its own `encrypt`
+  // set() option, otherwise "whenever a secret is configured"
+  function wantsEncryption(entry) {
+    return entry.encrypt ?? !!secret;
+  }
+  // ...and whether it must never be stored in the clear: under strict
+  // encryption, or when the key was set with `encrypt: true`
+  function requiresEncryption(entry) {
+    return wantsEncryption(entry) && (strictEncryption || entry.encrypt === true);
+  }
 
   function ab2base64(buffer) {
     log("Ab2 Base64", buffer);
@@ -166,138 +261,209 @@ function createBiscuit({
     );
   }
 
-  let cryptoKeyPromise = null;
-  let dbSaltBase64 = null;
+  // key version -> CryptoKey. Normally a single key; while a rotation is
+  // in progress (see rotateSecret()) both the old and the new one.
+  const keyring = new Map();
+  let keyringPromise = null;
+  let writeKeyVersion = 1; // the key new records are encrypted with
+  let rotation = null; // { from, to } while a rotation runs (here or in another tab)
+  let hmacKey = null; // obfuscateKeys: signs keys into storage ids (see obfuscatedId())
+  const encryptionReport = { unreadable: [] }; // records init() couldn't decrypt
+  const KEY_CHECK_TEXT = "biscuit-key-check";
 
-  // --- IndexedDB helpers (namespace-separated DB and store)
-  function openIDB() {
-    if (!idbUsable) return Promise.resolve(null);
-    log("Opening indexedDB...");
-    return new Promise((resolve, reject) => {
-      const req = indexedDB.open(DB_NAME, 1);
-      req.onupgradeneeded = (e) => {
-        const _db = e.target.result;
-        if (!_db.objectStoreNames.contains(STORE_NAME))
-          _db.createObjectStore(STORE_NAME, { keyPath: "key" });
-      };
-      req.onsuccess = (e) => resolve(e.target.result);
-      req.onerror = (e) =>
-        reject(e.target?.error || new Error("IDB open failed"));
-    });
+  // --- storage helpers: thin logging wrappers around the active adapter
+  // (see createIndexedDBStorage() & friends at the bottom of this file)
+  async function openStorage() {
+    log("Opening storage...", storage.name || "custom");
+    if (typeof storage.open === "function") await storage.open();
   }
-
-  function idbGet(key) {
-    if (!idbUsable) return Promise.resolve(undefined);
-    log("Get an item from indexedDB. Item key:", key);
-    return new Promise((resolve, reject) => {
-      try {
-        const tx = db.transaction(STORE_NAME, "readonly");
-        const req = tx.objectStore(STORE_NAME).get(key);
-        req.onsuccess = () => resolve(req.result);
-        req.onerror = () => reject(req.error);
-      } catch (e) {
-        reject(e);
-      }
-    });
+  // storage work still running (persists nobody awaited included) —
+  // destroy() waits for all of it before closing the adapter
+  const inFlightStorage = new Set();
+  function trackStorage(promise) {
+    inFlightStorage.add(promise);
+    const done = () => inFlightStorage.delete(promise);
+    promise.then(done, done);
+    return promise;
   }
-  function idbGetAll() {
-    if (!idbUsable) return Promise.resolve([]);
-    log("Get all items in indexedDB");
-    return new Promise((resolve, reject) => {
-      try {
-        const tx = db.transaction(STORE_NAME, "readonly");
-        const req = tx.objectStore(STORE_NAME).getAll();
-        req.onsuccess = () => resolve(req.result);
-        req.onerror = () => reject(req.error);
-      } catch (e) {
-        reject(e);
-      }
-    });
+  async function settleStorage() {
+    // settling work may start more (a write's follow-up delete, say)
+    while (inFlightStorage.size) await Promise.allSettled(Array.from(inFlightStorage));
   }
-  function idbPut(obj) {
-    if (!idbUsable) return Promise.resolve();
-    log("Put / Save an item in indexedDB. Item object:", obj);
-    return new Promise((resolve, reject) => {
-      try {
-        const tx = db.transaction(STORE_NAME, "readwrite");
-        const req = tx.objectStore(STORE_NAME).put(obj);
-        req.onsuccess = () => resolve(req.result);
-        req.onerror = () => reject(req.error);
-      } catch (e) {
-        reject(e);
-      }
-    });
+  function storageGet(key) {
+    log("Get an item from storage. Item key:", key);
+    return trackStorage(Promise.resolve().then(() => storage.get(key)));
   }
-  function idbDelete(key) {
-    if (!idbUsable) return Promise.resolve();
-    log("Delete an item in indexedDB. Item key:", key);
-    return new Promise((resolve, reject) => {
-      try {
-        const tx = db.transaction(STORE_NAME, "readwrite");
-        const req = tx.objectStore(STORE_NAME).delete(key);
-        req.onsuccess = () => resolve();
-        req.onerror = () => reject(req.error);
-      } catch (e) {
-        reject(e);
-      }
-    });
+  function storageGetAll() {
+    log("Get all items in storage");
+    return trackStorage(Promise.resolve().then(() => storage.getAll()));
   }
-  function idbClear() {
-    if (!idbUsable) return Promise.resolve();
-    log("Clear up indexedDB");
-    return new Promise((resolve, reject) => {
-      try {
-        const tx = db.transaction(STORE_NAME, "readwrite");
-        const req = tx.objectStore(STORE_NAME).clear();
-        req.onsuccess = () => resolve();
-        req.onerror = () => reject(req.error);
-      } catch (e) {
-        reject(e);
-      }
-    });
+  function storagePut(obj) {
+    log("Put / Save an item in storage. Item object:", obj);
+    return trackStorage(Promise.resolve().then(() => storage.put(obj)));
+  }
+  function storagePutMany(records) {
+    log("Put / Save items in storage. Count:", records.length);
+    return trackStorage(
+      Promise.resolve().then(() =>
+        typeof storage.putMany === "function"
+          ? storage.putMany(records)
+          : Promise.all(records.map((record) => storage.put(record)))
+      )
+    );
+  }
+  function storageDelete(key) {
+    log("Delete an item in storage. Item key:", key);
+    return trackStorage(Promise.resolve().then(() => storage.delete(key)));
+  }
+  // record ids off one of RECORD_INDEXES — see the adapter notes
+  function storageKeysByIndex(index, query) {
+    log("Look up stored keys by index:", { index, query });
+    return trackStorage(
+      Promise.resolve().then(async () => {
+        if (typeof storage.keysByIndex === "function") return storage.keysByIndex(index, query);
+        const all = await storage.getAll();
+        return all.filter((record) => matchesIndex(record, index, query)).map((record) => record.key);
+      })
+    );
+  }
+  function storageIndexValues(index) {
+    log("List stored index values:", index);
+    return trackStorage(
+      Promise.resolve().then(async () => {
+        if (typeof storage.indexValues === "function") return storage.indexValues(index);
+        const values = new Set();
+        for (const record of await storage.getAll()) indexedValues(record, index).forEach((v) => values.add(v));
+        return Array.from(values);
+      })
+    );
+  }
+  // whether the adapter answers index lookups itself — otherwise the two
+  // above fall back to scanning getAll()
+  function storageIndexed() {
+    return typeof storage.keysByIndex === "function" && typeof storage.indexValues === "function";
+  }
+  function storageClear() {
+    log("Clear up storage");
+    return trackStorage(Promise.resolve().then(() => storage.clear()));
   }
 
-  // --- crypto helpers that use per-DB salt
+  // --- crypto helpers that use per-DB salt. `__meta__` holds the salt and
+  // version of the current key, plus a check value encrypted with it (so a
+  // changed `secret` is reported instead of silently failing every record),
+  // and `next` — the same for the new key — while a rotation is pending.
   async function ensureCryptoKey() {
     log("Ensure crypto key");
     if (!useEncryption) return null;
-    if (cryptoKeyPromise) return cryptoKeyPromise;
-    if (!db) db = await openIDB(); // ensure db exists before reading meta
-    // read meta salt
-    const meta = await idbGet("__meta__").catch(() => null);
-    if (meta && meta.salt) dbSaltBase64 = meta.salt;
-    else {
+    if (!keyringPromise) keyringPromise = loadKeyring();
+    return keyringPromise;
+  }
+  async function loadKeyring() {
+    const meta = await storageGet("__meta__").catch(() => null);
+    if (!meta || !meta.salt) {
       log("No meta or meta salt or both");
-      const s = crypto.getRandomValues(new Uint8Array(16));
-      dbSaltBase64 = ab2base64(s.buffer);
+      const salt = randomSalt();
+      const key = await deriveCryptoKey(secret, salt);
+      keyring.set(1, key);
+      writeKeyVersion = 1;
+      const fresh = { key: "__meta__", salt, keyVersion: 1, check: await keyCheck(key) };
       try {
-        await idbPut({ key: "__meta__", salt: dbSaltBase64 });
+        await storagePut(fresh);
       } catch (e) {
         log("meta write failed", e);
+        return;
       }
+      // a new store obfuscates from its very first write
+      if (obfuscateKeys) await createHmacKey(key, fresh);
+      return;
+    }
+    const current = { salt: meta.salt, keyVersion: meta.keyVersion ?? 1, check: meta.check, hmac: meta.hmac };
+    const candidates = meta.next ? [current, meta.next] : [current];
+    let verified = null;
+    for (const candidate of candidates) {
+      const key = await deriveCryptoKey(secret, candidate.salt);
+      if (await keyMatches(key, candidate.check)) {
+        keyring.set(candidate.keyVersion, key);
+        writeKeyVersion = candidate.keyVersion; // mid-rotation with the new secret: write with the new key
+        verified = candidate;
+      }
+    }
+    if (meta.next) rotation = { from: current.keyVersion, to: meta.next.keyVersion };
+    if (!keyring.size) {
+      reportError(
+        "Encryption secret doesn't match the stored key — records encrypted with the old secret can't be read (use rotateSecret() to change secrets)",
+        new Error("secret mismatch")
+      );
+      keyring.set(current.keyVersion, await deriveCryptoKey(secret, current.salt));
+      writeKeyVersion = current.keyVersion;
+      return; // no trustworthy key to unwrap (or wrap) the HMAC key with
+    }
+    if (!obfuscateKeys) return;
+    const key = keyring.get(verified.keyVersion);
+    if (verified.hmac) {
+      hmacKey = await importHmacKey(await decryptWith(key, verified.hmac));
+    } else if (!meta.next) {
+      await createHmacKey(key, meta);
+    } else {
+      log("Key obfuscation starts once the pending secret rotation finishes");
     }
-    cryptoKeyPromise = deriveCryptoKey(secret, dbSaltBase64);
-    return cryptoKeyPromise;
   }
 
-  async function encryptValue(value) {
-    log("Encrypt value. Value:", value);
-    if (!useEncryption) throw new Error("encryption disabled");
-    const key = await ensureCryptoKey();
+  // --- key obfuscation: the HMAC key is random, stored in `__meta__`
+  // encrypted with the current AES key (re-wrapped by rotateSecret()), so
+  // storage ids stay the same across secret rotations
+  async function createHmacKey(key, meta) {
+    const raw = crypto.getRandomValues(new Uint8Array(32));
+    try {
+      await storagePut({ ...meta, hmac: await encryptWith(key, raw) });
+      // another tab may have raced us to it — whichever landed wins
+      const stored = await storageGet("__meta__");
+      hmacKey = await importHmacKey(stored?.hmac ? await decryptWith(key, stored.hmac) : raw);
+    } catch (e) {
+      hmacKey = null; // ids nobody else could reproduce — better not use them
+      log("meta write failed", e);
+    }
+  }
+  function importHmacKey(raw) {
+    return crypto.subtle.importKey("raw", raw, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  }
+  function obfuscating() {
+    return obfuscateKeys && useEncryption && !!hmacKey;
+  }
+  async function obfuscatedId(key) {
+    const sig = await crypto.subtle.sign("HMAC", hmacKey, new TextEncoder().encode(key));
+    return `~${ab2base64(sig)}`;
+  }
+  // every id a key's record may be stored under — plain, and obfuscated
+  // (it may predate obfuscateKeys, or have been written with encrypt: false)
+  async function storageIdsFor(key) {
+    return obfuscating() ? [key, await obfuscatedId(key)] : [key];
+  }
+  function randomSalt() {
+    return ab2base64(crypto.getRandomValues(new Uint8Array(16)).buffer);
+  }
+  async function keyCheck(key) {
+    return encryptWith(key, new TextEncoder().encode(KEY_CHECK_TEXT));
+  }
+  async function keyMatches(key, check) {
+    if (!check) return true; // meta from before key checks — nothing to verify against
+    try {
+      return new TextDecoder().decode(await decryptWith(key, check)) === KEY_CHECK_TEXT;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async function encryptWith(key, bytes) {
     const iv = crypto.getRandomValues(new Uint8Array(12));
-    const encoded = new TextEncoder().encode(JSON.stringify(value));
     const cipher = await crypto.subtle.encrypt(
       { name: "AES-GCM", iv },
       key,
-      encoded
+      bytes
     );
     return { cipher: ab2base64(cipher), iv: ab2base64(iv.buffer) };
   }
-
-  async function decryptValue(stored) {
-    log("Decrypt stored value. Stored value:", stored);
-    if (!useEncryption) throw new Error("encryption disabled");
-    const key = await ensureCryptoKey();
+  async function decryptWith(key, stored) {
     const iv = new Uint8Array(base642ab(stored.iv));
     const cipherBuf = base642ab(stored.cipher);
     const plainBuf = await crypto.subtle.decrypt(
@@ -305,50 +471,404 @@ function createBiscuit({
       key,
       cipherBuf
     );
-    const text = new TextDecoder().decode(plainBuf);
-    return JSON.parse(text);
+    return new Uint8Array(plainBuf);
+  }
+
+  // takes (and decryptBytes() returns) the serializer's output as UTF-8,
+  // compressed or not
+  async function encryptBytes(bytes, keyVersion = writeKeyVersion) {
+    log("Encrypt value. Bytes:", bytes.byteLength);
+    if (!useEncryption) throw new Error("encryption disabled");
+    await ensureCryptoKey();
+    return encryptWith(keyring.get(keyVersion), bytes);
+  }
+
+  // records from before key versions were all encrypted with version 1
+  async function decryptBytes(stored, keyVersion = 1) {
+    log("Decrypt stored value. Stored value:", stored);
+    if (!useEncryption) throw new Error("encryption disabled");
+    await ensureCryptoKey();
+    const key = keyring.get(keyVersion);
+    if (!key) throw new Error(`No key for key version ${keyVersion}`);
+    return decryptWith(key, stored);
+  }
+
+  // --- compression (opt-in): serialized values of at least `threshold`
+  // bytes are compressed before they're encrypted (ciphertext doesn't
+  // compress), via CompressionStream — or a pure-JS LZW where that's
+  // missing. Records say which format they used, so init() can undo it.
+  const compressionFormat = compression?.format || "gzip";
+  if (compression && !["gzip", "deflate", "lzw"].includes(compressionFormat))
+    throw new Error(`compression.format must be "gzip", "deflate" or "lzw" (got "${compressionFormat}")`);
+  const compressionConfig = !compression
+    ? null
+    : {
+        threshold: compression.threshold ?? 1024,
+        format: compressionStreamSupported ? compressionFormat : "lzw",
+      };
+
+  // --- serialization: persist() stores values as `serializer.encode(value)`
+  // (then compresses / encrypts that text as configured), so what comes back
+  // doesn't depend on the storage backend or on encryption. Records from
+  // before serializers were raw values, or JSON when encrypted.
+  if (typeof serializer?.encode !== "function" || typeof serializer?.decode !== "function")
+    throw new Error("serializer must be an object with encode(value) and decode(text) functions");
+
+  // Undoes persist(): { record, value } with the value decoded and, for an
+  // obfuscated record, the real key and metadata restored from inside the
+  // encrypted payload (`record.key` is then the real key, not the storage
+  // id). Callers check `encrypted` against useEncryption first.
+  async function readRecord(record) {
+    if (!record.encrypted && !record.compressed)
+      return { record, value: record.serialized ? serializer.decode(record.value) : record.value };
+    let bytes = record.encrypted
+      ? await decryptBytes(record.value, record.keyVersion ?? 1)
+      : base64ToBytes(record.value);
+    if (record.compressed) bytes = await decompressBytes(bytes, record.compressed);
+    let text = new TextDecoder().decode(bytes);
+    if (record.obfuscated) {
+      const { value, ...hidden } = JSON.parse(text);
+      record = { ...record, ...hidden };
+      text = value;
+    }
+    return { record, value: record.serialized ? serializer.decode(text) : JSON.parse(text) };
+  }
+
+  // encodes a serialized value for storage: { value, compressed, sizes }
+  async function packText(key, text, encrypt) {
+    const raw = new TextEncoder().encode(text);
+    let bytes = raw;
+    let compressed = null;
+    if (compressionConfig && raw.byteLength >= compressionConfig.threshold) {
+      try {
+        const packed = await compressBytes(raw, compressionConfig.format);
+        // unencrypted bytes are stored as base64 — only worth it if that's still smaller
+        const packedSize = encrypt ? packed.byteLength : Math.ceil(packed.byteLength / 3) * 4;
+        if (packedSize < raw.byteLength) {
+          bytes = packed;
+          compressed = compressionConfig.format;
+        }
+      } catch (e) {
+        log(`Compressing ${key} failed — storing it uncompressed`, e);
+      }
+    }
+    let value = text;
+    let keyVersion = null;
+    if (encrypt) {
+      await ensureCryptoKey();
+      keyVersion = writeKeyVersion;
+      value = await encryptBytes(bytes, keyVersion);
+    } else if (compressed) value = bytesToBase64(bytes);
+    const storedSize = typeof value === "string" ? (compressed ? value.length : raw.byteLength) : value.cipher.length + value.iv.length;
+    return { value, compressed, keyVersion, sizes: { original: raw.byteLength, stored: storedSize } };
   }
 
   // --- cross-tab sync
   const channelSupported = typeof BroadcastChannel === "function";
   const channel = channelSupported ? new BroadcastChannel(CHANNEL_NAME) : null;
+  const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
 
-  function broadcastChange(key, entry) {
-    // entry: null for deletion, otherwise { value, expiry, ttl, fetcherId }
-    log("Broadcast change:", { key, entry });
+  function broadcastChange(key, entry, removedVersion = null) {
+    // entry: null for deletion (removedVersion orders it against other
+    // writes), otherwise see toBroadcastEntry()
+    postChanges([{ key, entry, removedVersion }]);
+  }
+  // several changes as one message (see setMany()) — the other tabs apply
+  // them with a single notification
+  function broadcastChanges(changes) {
+    postChanges(changes.map(({ key, entry, removedVersion = null }) => ({ key, entry, removedVersion })));
+  }
+  // postChanges() calls made while held go out as one message when
+  // released — for bulk operations (removeMany() and friends), so other
+  // tabs hear about a hundred removals once rather than a hundred times
+  let broadcastHolds = 0;
+  let heldChanges = [];
+  async function withBroadcastsHeld(fn) {
+    broadcastHolds++;
+    try {
+      return await fn();
+    } finally {
+      if (--broadcastHolds === 0 && heldChanges.length) {
+        const changes = heldChanges;
+        heldChanges = [];
+        if (!destroyed) postChanges(changes); // the channel's closed by then
+      }
+    }
+  }
+  function postChanges(changes) {
+    if (broadcastHolds) {
+      heldChanges.push(...changes);
+      return;
+    }
+    changes = changes.map((change) =>
+      change.entry && !change.entry.byRef && broadcastsByReference(change.entry)
+        ? { ...change, entry: toReference(change.entry) }
+        : change
+    );
+    // write-behind: a reference is only good once the record is in storage
+    const unwritten = ({ key, entry }) => entry?.byRef && (pendingWrites.has(key) || writingKeys.has(key));
+    deferredBroadcasts.push(...changes.filter(unwritten));
+    changes = changes.filter((change) => !unwritten(change));
+    if (!changes.length) return;
+    log("Broadcast change:", changes);
+    // a single change keeps the { key, entry } message shape older deploys understand
+    const message = (batch) =>
+      batch.length === 1 ? { ...batch[0], schemaVersion } : { batch, schemaVersion };
     if (channelSupported) {
       try {
-        channel.postMessage({ key, entry });
+        channel.postMessage(message(changes));
       } catch (e) {
+        if (e?.name === "DataCloneError" && storageIsShared()) {
+          const inline = changes.filter(({ entry }) => entry && !entry.byRef);
+          if (inline.length) {
+            log("A value can't be cloned — broadcasting inline values by reference");
+            return postChanges(changes.map((c) => (inline.includes(c) ? { ...c, entry: toReference(c.entry) } : c)));
+          }
+        }
+        // one bad value shouldn't cost the rest of a batch its broadcast
+        if (changes.length > 1) return changes.forEach((change) => postChanges([change]));
         // Most commonly DataCloneError — the cached value contains something
         // structured-clone can't handle (a function, DOM node, etc). The
         // local write already succeeded; don't let this throw out of
         // set()/remove()/clear() and make a successful write look failed.
-        reportError(`Cross-tab broadcast failed for key "${key}"`, e);
+        const what = changes.length === 1 ? `key "${changes[0].key}"` : `${changes.length} keys`;
+        reportError(`Cross-tab broadcast failed for ${what}`, e);
       }
     } else {
       try {
-        localStorage.setItem(
-          STORAGE_KEY,
-          JSON.stringify({ key, entry, t: Date.now() })
-        );
+        const encoded = changes.map(({ key, entry, removedVersion }) => {
+          // the value goes through the serializer like a persisted one would
+          if (entry && !entry.byRef) {
+            const { value, ...meta } = entry;
+            entry = { ...meta, encoded: serializer.encode(value) };
+          }
+          return { key, entry, removedVersion };
+        });
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...message(encoded), t: Date.now() }));
       } catch (e) {
         log("localStorage broadcast failed", e);
       }
     }
   }
 
-  function handleRemoteUpdate(key, entry) {
+  // --- by-reference broadcasts: for big (or non-cloneable) values, tabs
+  // only announce that a key changed — metadata and version, no value —
+  // and the others re-read the record from the shared store (see
+  // loadReferencedEntry()). Needs storage the tabs actually share; memory
+  // (or per-process) adapters set `shared: false` and always broadcast inline.
+  function storageIsShared() {
+    return storage?.shared !== false;
+  }
+  function broadcastsByReference(entry) {
+    // strict encryption: a sensitive value mustn't sit in localStorage in
+    // the clear, even briefly — the other tabs read it back from storage
+    if (!channelSupported && requiresEncryption(entry)) return true;
+    if (broadcastMode === "inline" || !storageIsShared()) return false;
+    if (broadcastMode === "reference") return true;
+    try {
+      return serializer.encode(entry.value).length > inlineBroadcastLimit;
+    } catch (e) {
+      return true; // not even serializable — don't risk a DataCloneError
+    }
+  }
+  function toReference(entry) {
+    const { value, ...meta } = entry;
+    return { ...meta, byRef: true };
+  }
+
+  // Applies a by-reference broadcast once the record is read back. Only the
+  // write that was announced is applied — an older record means the write
+  // hasn't landed (or failed), a newer one will be announced on its own.
+  async function loadReferencedEntry(key, ref) {
+    try {
+      await dbReady;
+      let stored = null;
+      for (const id of (await storageIdsFor(key)).reverse()) {
+        stored = await storageGet(id);
+        if (stored) break;
+      }
+      if (destroyed) return;
+      if (!stored || compareVersions(stored.version, ref.version) !== 0) {
+        log(`Referenced update for ${key} isn't in storage as announced — skipping`);
+        return;
+      }
+      if (stored.encrypted && !useEncryption) return;
+      const { record, value } = await readRecord(stored);
+      handleRemoteUpdate(
+        key,
+        {
+          value,
+          expiry: record.expiry,
+          ttl: record.ttl,
+          fetcherId: record.fetcherId,
+          refreshPolicy: record.refreshPolicy,
+          tags: record.tags,
+          dependsOn: record.dependsOn,
+          priority: record.priority,
+          pinned: record.pinned,
+          updatedAt: record.updatedAt,
+          version: record.version,
+          prev: ref.prev,
+          sizes: record.sizes,
+          encrypt: record.encrypt ?? null,
+        },
+        record.schemaVersion ?? 1
+      );
+    } catch (e) {
+      reportError(`Reading referenced update for key "${key}" failed`, e);
+    }
+  }
+
+  // the cross-tab shape of a jar entry — see handleRemoteUpdate()
+  function toBroadcastEntry(entry) {
+    return {
+      value: entry.value,
+      expiry: entry.expiry,
+      ttl: entry.ttl,
+      fetcherId: entry.fetcherId,
+      refreshPolicy: entry.refreshPolicy,
+      tags: entry.tags,
+      dependsOn: entry.dependsOn,
+      priority: entry.priority,
+      pinned: entry.pinned,
+      updatedAt: entry.updatedAt,
+      version: entry.version,
+      prev: entry.prev,
+      sizes: entry.sizes,
+      encrypt: entry.encrypt,
+    };
+  }
+
+  // --- logical clocks: every local write stamps its entry with a version —
+  // a Lamport clock plus the writing tab's id, so any two versions are
+  // ordered — and keeps the version it replaced (`prev`). Both travel with
+  // the broadcast, so a tab can tell a remote write that builds on its own
+  // entry from a stale (delayed) one or a concurrent one (see resolveRemote()).
+  let clock = 0;
+  // key -> { version, at } of its last removal, to reject writes from before
+  // it. Each is kept for TOMBSTONE_TTL — far longer than a broadcast takes
+  // to arrive — and the map stays in removal order, so expired ones are
+  // pruned off the front whenever a new one is added.
+  const tombstones = new Map();
+  const TOMBSTONE_TTL = 10 * 60 * 1000;
+
+  function nextVersion() {
+    clock += 1;
+    return { clock, tabId: TAB_ID };
+  }
+  function observeVersion(version) {
+    if (version && version.clock > clock) clock = version.clock;
+  }
+  function compareVersions(a, b) {
+    if (!a || !b) return a ? 1 : b ? -1 : 0;
+    if (a.clock !== b.clock) return a.clock - b.clock;
+    return a.tabId < b.tabId ? -1 : a.tabId > b.tabId ? 1 : 0;
+  }
+  function removalVersion(key) {
+    const version = nextVersion();
+    addTombstone(key, version);
+    return version;
+  }
+  function addTombstone(key, version) {
+    const now = Date.now();
+    tombstones.delete(key); // re-added at the end
+    tombstones.set(key, { version, at: now });
+    for (const [k, { at }] of tombstones) {
+      if (now - at < TOMBSTONE_TTL) break;
+      tombstones.delete(k);
+    }
+  }
+  function tombstoneOf(key) {
+    return tombstones.get(key)?.version ?? null;
+  }
+
+  // What a remote write does to the local entry: null keeps the local one,
+  // otherwise the entry to apply. Concurrent writes go through
+  // resolveConflict (default: the higher version wins); the result gets
+  // the higher of the two versions, so every tab converges on the same
+  // entry as long as the hook picks the same winner whichever side is local.
+  function resolveRemote(key, cur, remote) {
+    if (!cur) {
+      const removed = tombstoneOf(key);
+      if (removed && compareVersions(remote.version, removed) < 0) return null; // written before a removal we've seen
+      return remote;
+    }
+    if (!cur.version || !remote.version) return remote; // written before versioning existed
+    const order = compareVersions(remote.version, cur.version);
+    if (order === 0) return null; // already have it
+    if (compareVersions(remote.prev, cur.version) === 0) return remote; // builds on ours
+    // one tab's own writes are always ordered
+    if (remote.version.tabId === cur.version.tabId) return order > 0 ? remote : null;
+    if (cur.prev && compareVersions(remote.version, cur.prev) <= 0) return null; // older than what ours replaced
+
+    log(`Concurrent writes to ${key} — resolving`, { local: cur, remote });
+    let winner = order > 0 ? remote : cur;
+    if (typeof resolveConflict === "function") {
+      try {
+        const picked = resolveConflict({ ...cur }, { ...remote });
+        if (picked === "local") winner = cur;
+        else if (picked === "remote") winner = remote;
+        else if (picked && typeof picked === "object" && "value" in picked)
+          winner = { ...winner, value: picked.value };
+      } catch (e) {
+        reportError(`resolveConflict threw for key "${key}" — keeping the newer write`, e);
+      }
+    }
+    const [older, newer] = order > 0 ? [cur, remote] : [remote, cur];
+    if (winner === cur && newer === cur) return null;
+    return { ...winner, version: newer.version, prev: older.version, resolved: true };
+  }
+
+  function handleRemoteUpdate(key, entry, remoteSchemaVersion = 1, removedVersion = null) {
     log("Remote update received:", { key, entry });
 
+    // lazyLoad: a key this tab hasn't loaded (and nobody here watches) stays
+    // out of the hot set — the next get() reads it from storage. One being
+    // loaded right now is applied instead, so the load can't land an older record.
+    if (entry && lazyLoad && !jar.has(key) && !coldLoads.has(key) && !keySubscribers.get(key)?.size) {
+      observeVersion(entry.version);
+      const cold = demoted.get(key);
+      if (cold)
+        demoted.set(key, {
+          expiry: entry.expiry ?? cold.expiry,
+          priority: entry.priority ?? 0,
+          pinned: !!entry.pinned,
+          sizes: entry.sizes ?? cold.sizes,
+        });
+      return;
+    }
+
+    if (entry?.byRef) {
+      loadReferencedEntry(key, entry);
+      return;
+    }
+
+    // a tab running an older (or newer) deploy — never let its shape reach
+    // this tab's subscribers unmigrated
+    if (entry && remoteSchemaVersion !== schemaVersion) {
+      migrateValue(key, entry.value, remoteSchemaVersion)
+        .then((migrated) => {
+          if (migrated) handleRemoteUpdate(key, { ...entry, value: migrated.value }, schemaVersion);
+          else log(`Ignoring remote update for ${key} from schema v${remoteSchemaVersion}`);
+        })
+        .catch((e) => reportError(`Migrating remote update for key "${key}" failed`, e));
+      return;
+    }
+
     // full-store clear from another tab (see clear())
     if (key === null) {
       log("Remote update is a full clear — wiping in-memory jar");
       jar.clear();
+      demoted.clear();
+      unstoredKeys.clear();
+      storedFetcherIds.clear();
+      loadEpoch++;
       refreshers.clear();
       accessTimestamps.clear();
+      accessCounts.clear();
       refreshTimers.forEach((t) => clearTimeout(t));
       refreshTimers.clear();
+      tombstones.clear();
       notify();
       return;
     }
@@ -356,21 +876,30 @@ function createBiscuit({
     const cur = jar.get(key);
     if (!entry) {
       // deletion
+      if (removedVersion) {
+        observeVersion(removedVersion);
+        if (compareVersions(removedVersion, tombstoneOf(key)) > 0) addTombstone(key, removedVersion);
+        // a write the other tab hadn't seen when it removed the key survives
+        if (cur && compareVersions(cur.version, removedVersion) > 0) return;
+      }
+      demoted.delete(key);
       if (cur) {
         jar.delete(key);
+        unstoredKeys.delete(key);
         accessTimestamps.delete(key);
+        accessCounts.delete(key);
         refreshers.delete(key);
         notify();
       }
       return;
     }
-    // entry has value, expiry, ttl, fetcherId
-    // Values that can't be JSON.stringify'd (circular refs, BigInt, etc.)
+    // entry has value, expiry, ttl, fetcherId, refreshPolicy, tags, dependsOn
+    // Values the serializer can't encode (circular refs, functions, etc.)
     // just skip the equality optimization below and always apply the
     // update — correctness over a perf shortcut.
     let valuesDiffer = true;
     try {
-      valuesDiffer = JSON.stringify(entry.value) !== (cur ? JSON.stringify(cur.value) : null);
+      valuesDiffer = serializer.encode(entry.value) !== (cur ? serializer.encode(cur.value) : null);
     } catch (e) {
       log("Could not compare remote value (non-serializable) — applying update anyway", e);
     }
@@ -378,22 +907,68 @@ function createBiscuit({
     const ttl = entry.ttl || null;
     const fetcherId = entry.fetcherId || null;
     const refreshPolicy = entry.refreshPolicy || "background";
+    const tags = entry.tags || [];
+    const dependsOn = entry.dependsOn || [];
+    const priority = entry.priority ?? 0;
+    const pinned = !!entry.pinned;
+    observeVersion(entry.version);
+    const next = resolveRemote(key, cur, {
+      key,
+      value: entry.value,
+      expiry,
+      ttl,
+      fetcherId,
+      refreshPolicy,
+      tags,
+      dependsOn,
+      priority,
+      pinned,
+      updatedAt: entry.updatedAt ?? null,
+      version: entry.version || null,
+      prev: entry.prev || null,
+      sizes: entry.sizes || null,
+      encrypt: entry.encrypt ?? null,
+    });
+    if (!next) {
+      log(`Ignoring stale remote update for ${key}`);
+      return;
+    }
+    if (next.resolved) {
+      // the other tab persisted its side of the conflict — store the outcome
+      delete next.resolved;
+      jar.set(key, next);
+      demoted.delete(key);
+      persist(next).catch((e) => log("persist of resolved conflict failed", e));
+      if (next.value === cur.value) {
+        log("Conflict resolved in favour of the local value");
+        return;
+      }
+      valuesDiffer = true;
+    }
 
     if (
       !cur ||
       valuesDiffer ||
+      compareVersions(cur.version, next.version) !== 0 ||
       cur.expiry !== expiry ||
       cur.ttl !== ttl ||
       cur.fetcherId !== fetcherId ||
-      cur.refreshPolicy !== refreshPolicy
+      cur.refreshPolicy !== refreshPolicy ||
+      !sameTags(cur.tags, tags) ||
+      !sameTags(cur.dependsOn, dependsOn) ||
+      (cur.priority ?? 0) !== priority ||
+      !!cur.pinned !== pinned
     ) {
       log("Remote update. Exact similar value does not exist, so updating.");
-      jar.set(key, { key, value: entry.value, expiry, ttl, fetcherId, refreshPolicy });
+      jar.set(key, next);
+      demoted.delete(key);
       touchKey(key);
+      if (lazyLoad && !cur) enforceLimits({ keep: key }).catch((e) => log("enforceLimits error", e)); // a watched key joined the hot set
+      if (next.fetcherId) storedFetcherIds.add(next.fetcherId); // the other tab stores it
       // attach fetcher if available
-      if (fetcherId && fetcherRegistry.has(fetcherId)) {
-        refreshers.set(key, fetcherRegistry.get(fetcherId));
-        scheduleRefresh(key, expiry);
+      if (next.fetcherId && fetcherRegistry.has(next.fetcherId)) {
+        refreshers.set(key, fetcherRegistry.get(next.fetcherId));
+        scheduleRefresh(key, next.expiry);
       } else {
         refreshers.delete(key);
       }
@@ -401,89 +976,445 @@ function createBiscuit({
     }
   }
 
+  // a change message — one { key, entry, removedVersion }, or a batch of
+  // them (see postChanges()), applied with a single notification
+  function handleRemoteChanges(message, decode = (entry) => entry) {
+    const changes = message.batch || [message];
+    withNotificationsHeld(() => {
+      for (const { key, entry, removedVersion } of changes) {
+        settleHandoff(key); // the leader (or another tab) got there
+        handleRemoteUpdate(key, decode(entry), message.schemaVersion, removedVersion);
+      }
+    }).catch((e) => log("remote update error", e));
+  }
+
   if (channelSupported)
-    channel.onmessage = (e) => handleRemoteUpdate(e.data.key, e.data.entry);
+    channel.onmessage = (e) =>
+      e.data?.type ? handleControlMessage(e.data) : handleRemoteChanges(e.data);
   else if (windowAvailable)
     window.addEventListener("storage", (e) => {
-      if (e.key === STORAGE_KEY && e.newValue) {
-        const { key, entry } = JSON.parse(e.newValue);
-        handleRemoteUpdate(key, entry);
-      }
+      if (e.key === STORAGE_KEY && e.newValue)
+        handleRemoteChanges(JSON.parse(e.newValue), (entry) => {
+          if (!entry || !("encoded" in entry)) return entry;
+          const { encoded, ...meta } = entry;
+          return { ...meta, value: serializer.decode(encoded) };
+        });
     });
 
-  // --- init: open db, load entries, prepare crypto + invoke missing fetcher callback
+  // --- leader election (opt-in): tabs sharing a namespace elect one leader
+  // that alone runs scheduled and on-demand refreshes for keys with a
+  // persistable fetcher ({ id, fn } — the leader can rebind those itself);
+  // everyone else gets the results through the regular broadcasts. Uses
+  // Web Locks where available — the lock is freed when the leader tab
+  // closes, handing leadership to the next tab in line — and otherwise a
+  // BroadcastChannel heartbeat. Session-only fetchers always run locally.
+  const LEADER_LOCK_NAME = `biscuit-leader${prefix}`;
+  const HEARTBEAT_INTERVAL = 1000;
+  const HEARTBEAT_TIMEOUT = 3000;
+  const locksSupported = typeof navigator !== "undefined" && !!navigator.locks?.request;
+  const electionMode = !leaderElection
+    ? "off"
+    : locksSupported
+    ? "locks"
+    : channelSupported
+    ? "heartbeat"
+    : "off"; // no way to coordinate — every tab refreshes for itself, as before
+  let isLeader = electionMode === "off";
+  let releaseLeaderLock = null;
+  const leaderLockAbort = electionMode === "locks" && abortSupported ? new AbortController() : null;
+  let heartbeatTimer = null;
+  let lastHeartbeat = 0;
+  // how long a follower waits on the leader before refreshing a handed-over key itself
+  const REFRESH_HANDOFF_TIMEOUT = HEARTBEAT_TIMEOUT + (fetchTimeout ?? 10000);
+  const handoffs = new Map(); // key -> { keys, timer } of the unanswered refresh-request it's in
+
+  function postControl(message) {
+    if (!channelSupported || destroyed) return;
+    try {
+      channel.postMessage(message);
+    } catch (e) {
+      log("control message failed", message, e);
+    }
+  }
+
+  function becomeLeader() {
+    if (isLeader || destroyed) return;
+    log("This tab is now the leader");
+    isLeader = true;
+    for (const [key, entry] of jar.entries()) scheduleRefresh(key, entry.expiry);
+  }
+  function stepDown() {
+    if (!isLeader) return;
+    log("This tab is no longer the leader");
+    isLeader = false; // pending timers now hand their refreshes over (see runScheduledRefresh())
+  }
+  function resignLeadership() {
+    if (electionMode === "heartbeat" && isLeader) postControl({ type: "leader-resign", tabId: TAB_ID });
+  }
+
+  function heartbeatTick() {
+    if (isLeader) {
+      postControl({ type: "leader-heartbeat", tabId: TAB_ID });
+    } else if (Date.now() - lastHeartbeat > HEARTBEAT_TIMEOUT) {
+      log("No leader heartbeat — claiming leadership");
+      becomeLeader();
+      postControl({ type: "leader-heartbeat", tabId: TAB_ID });
+    }
+  }
+
+  if (electionMode === "locks") {
+    navigator.locks
+      .request(LEADER_LOCK_NAME, leaderLockAbort ? { signal: leaderLockAbort.signal } : {}, () =>
+        new Promise((resolve) => {
+          // held until destroy() — or until the tab goes away
+          releaseLeaderLock = resolve;
+          becomeLeader();
+        })
+      )
+      .catch((e) => {
+        if (!destroyed) reportError("Leader election failed", e);
+      });
+  } else if (electionMode === "heartbeat") {
+    // give an existing leader ~1 interval to answer before claiming
+    lastHeartbeat = Date.now() - HEARTBEAT_TIMEOUT + HEARTBEAT_INTERVAL;
+    postControl({ type: "leader-query", tabId: TAB_ID });
+    heartbeatTimer = setInterval(heartbeatTick, HEARTBEAT_INTERVAL);
+  }
+
+  function handleControlMessage(message) {
+    log("Control message received:", message);
+    switch (message.type) {
+      case "leader-heartbeat":
+        lastHeartbeat = Date.now();
+        // two leaders after a simultaneous claim — the lower tab id keeps it
+        if (isLeader && message.tabId < TAB_ID) stepDown();
+        break;
+      case "leader-query":
+        if (isLeader && electionMode === "heartbeat")
+          postControl({ type: "leader-heartbeat", tabId: TAB_ID });
+        break;
+      case "leader-resign":
+        lastHeartbeat = 0; // claim on the next tick
+        break;
+      case "refresh-request":
+        if (isLeader) handleRefreshRequest(message);
+        break;
+      case "refresh-declined":
+        if (message.to === TAB_ID)
+          refreshInOrder(message.keys, { cascade: message.cascade }).catch((e) =>
+            log("declined refresh error", e)
+          );
+        break;
+      case "key-rotation":
+        // another tab started rotateSecret() — write with the new key from now on
+        if (useEncryption && message.key) {
+          keyring.set(message.keyVersion, message.key);
+          writeKeyVersion = message.keyVersion;
+          rotation = { from: message.from, to: message.keyVersion };
+        }
+        break;
+      case "key-rotated":
+        if (useEncryption && keyring.has(message.keyVersion)) retireKeysBefore(message.keyVersion);
+        break;
+    }
+  }
+
+  // Scheduled/on-demand refreshes that aren't explicit refresh() calls:
+  // the leader runs them, followers hand them over
+  function requestRefresh(keys, { cascade = false } = {}) {
+    if (!keys.length) return Promise.resolve();
+    if (isLeader || !channelSupported || keys.some((k) => !jar.get(k)?.fetcherId))
+      return refreshInOrder(keys, { cascade });
+    log("Asking the leader tab to refresh", keys);
+    postControl({ type: "refresh-request", keys, cascade, from: TAB_ID });
+    awaitHandoff(keys, cascade);
+    return Promise.resolve();
+  }
+  // a follower refreshes handed-over keys itself when neither the fresh
+  // value nor a refresh-declined comes back in time — the leader may have
+  // closed or hung before anyone noticed. Any change message for a key, or
+  // a local refresh of it, settles it (see settleHandoff()).
+  function awaitHandoff(keys, cascade) {
+    const handoff = { keys: new Set(keys), timer: null };
+    handoff.timer = setTimeout(() => {
+      for (const k of handoff.keys) handoffs.delete(k);
+      if (destroyed || !handoff.keys.size) return;
+      log("No answer from the leader tab — refreshing locally", [...handoff.keys]);
+      refreshInOrder([...handoff.keys], { cascade }).catch((e) => log("fallback refresh error", e));
+    }, REFRESH_HANDOFF_TIMEOUT);
+    for (const k of keys) {
+      settleHandoff(k); // an older request for it is superseded
+      handoffs.set(k, handoff);
+    }
+  }
+  function settleHandoff(key) {
+    const handoff = handoffs.get(key);
+    if (!handoff) return;
+    handoffs.delete(key);
+    handoff.keys.delete(key);
+    if (!handoff.keys.size) clearTimeout(handoff.timer);
+  }
+  function handleRefreshRequest({ keys, cascade, from }) {
+    const runnable = keys.filter((k) => jar.has(k) && refreshers.has(k));
+    const declined = keys.filter((k) => !runnable.includes(k));
+    refreshInOrder(runnable, { cascade }).catch((e) => log("requested refresh error", e));
+    // e.g. the fetcherId was never registered in this tab — let the requester do it
+    if (declined.length) postControl({ type: "refresh-declined", keys: declined, cascade, to: from });
+  }
+
+  function isLeaderTab() {
+    ensureNotDestroyed();
+    return isLeader;
+  }
+
+  // --- secret rotation: re-encrypts every record with a new secret and a
+  // fresh salt. Crash-safe: `__meta__` records the new key (as `next`)
+  // before any record moves, each record says which key version encrypted
+  // it, and both keys stay readable until the last record is done — calling
+  // rotateSecret() again with the same secrets resumes an interrupted run.
+  // One tab rotates at a time (Web Locks); the others are handed the new
+  // key so their writes switch to it straight away.
+  let rotationInFlight = null;
+  async function rotateSecret(oldSecret, newSecret) {
+    ensureNotDestroyed();
+    log("Rotate secret");
+    if (typeof newSecret !== "string" || !newSecret)
+      throw new Error("rotateSecret() expects a non-empty new secret");
+    await dbReady;
+    if (!useEncryption)
+      throw new Error("rotateSecret() needs encryption — create Biscuit with a `secret`");
+    if (rotationInFlight) throw new Error("rotateSecret() is already running");
+    const locks = typeof navigator !== "undefined" ? navigator.locks : undefined;
+    rotationInFlight = (
+      locks?.request
+        ? locks.request(ROTATION_LOCK_NAME, () => runRotation(oldSecret, newSecret))
+        : runRotation(oldSecret, newSecret)
+    ).finally(() => {
+      rotationInFlight = null;
+    });
+    return rotationInFlight;
+  }
+
+  async function runRotation(oldSecret, newSecret) {
+    await ensureCryptoKey();
+    const meta = await storageGet("__meta__"); // fresh — another tab may have rotated meanwhile
+    if (!meta?.salt) throw new Error("rotateSecret(): no stored key to rotate");
+    const from = { salt: meta.salt, keyVersion: meta.keyVersion ?? 1, check: meta.check };
+    const oldKey = await deriveCryptoKey(oldSecret, from.salt);
+    if (!(await keyMatches(oldKey, from.check)))
+      throw new Error("rotateSecret(): oldSecret doesn't match the current key");
+
+    let to = meta.next;
+    let newKey;
+    if (to) {
+      newKey = await deriveCryptoKey(newSecret, to.salt);
+      if (!(await keyMatches(newKey, to.check)))
+        throw new Error("rotateSecret(): a rotation to a different secret is pending — finish that one first");
+      log("Resuming an interrupted rotation");
+    } else {
+      const salt = randomSalt();
+      newKey = await deriveCryptoKey(newSecret, salt);
+      to = { salt, keyVersion: from.keyVersion + 1, check: await keyCheck(newKey) };
+      // the obfuscateKeys HMAC key carries over — storage ids don't change
+      if (meta.hmac) to.hmac = await encryptWith(newKey, await decryptWith(oldKey, meta.hmac));
+      await storagePut({ ...meta, next: to });
+    }
+    keyring.set(from.keyVersion, oldKey);
+    keyring.set(to.keyVersion, newKey);
+    writeKeyVersion = to.keyVersion;
+    rotation = { from: from.keyVersion, to: to.keyVersion };
+    postControl({ type: "key-rotation", keyVersion: to.keyVersion, from: from.keyVersion, key: newKey });
+
+    let reencrypted = 0;
+    const unreadable = [];
+    for (const record of await storageGetAll()) {
+      if (destroyed) throw new Error("Biscuit was destroyed mid-rotation — call rotateSecret() again to finish");
+      if (record.key === "__meta__" || !record.encrypted || record.keyVersion === to.keyVersion) continue;
+      try {
+        const bytes = await decryptBytes(record.value, record.keyVersion ?? 1);
+        const value = await encryptWith(newKey, bytes);
+        const latest = await storageGet(record.key);
+        // rewritten in the meantime — that write already used the new key
+        if (!latest || latest.value?.cipher !== record.value.cipher) continue;
+        await storagePut({ ...latest, value, keyVersion: to.keyVersion });
+        reencrypted++;
+      } catch (e) {
+        log(`Could not re-encrypt ${record.key}`, e);
+        unreadable.push({ key: record.key, keyVersion: record.keyVersion ?? 1 });
+      }
+    }
+
+    const { next, hmac, ...rest } = meta;
+    const finished = { ...rest, salt: to.salt, keyVersion: to.keyVersion, check: to.check };
+    if (to.hmac) finished.hmac = to.hmac;
+    await storagePut(finished);
+    retireKeysBefore(to.keyVersion);
+    postControl({ type: "key-rotated", keyVersion: to.keyVersion });
+    log("Secret rotated", { keyVersion: to.keyVersion, reencrypted, unreadable });
+    return { keyVersion: to.keyVersion, reencrypted, unreadable };
+  }
+
+  function retireKeysBefore(keyVersion) {
+    for (const v of keyring.keys()) if (v !== keyVersion) keyring.delete(v);
+    writeKeyVersion = keyVersion;
+    rotation = null;
+  }
+
+  // --- schema versioning: values persisted (or broadcast) under an older
+  // schemaVersion are brought up to date before anything else sees them
+  const migrationReport = { schemaVersion, migrated: [], discarded: [] };
+
+  // Returns { value } with the value migrated to the current schemaVersion,
+  // or null if the entry should be discarded instead.
+  async function migrateValue(key, value, fromVersion) {
+    if (fromVersion === schemaVersion) return { value };
+    if (fromVersion > schemaVersion || onSchemaMismatch === "drop") return null;
+    if (typeof migrate === "function") {
+      const next = await migrate(value, fromVersion, key);
+      return next === undefined ? null : { value: next };
+    }
+    if (!migrations) return null;
+    let current = value;
+    for (let v = fromVersion + 1; v <= schemaVersion; v++) {
+      if (typeof migrations[v] !== "function") return null; // gap in the chain
+      current = await migrations[v](current, key);
+      if (current === undefined) return null; // step asked to drop it
+    }
+    return { value: current };
+  }
+
+  function getMigrationReport() {
+    ensureNotDestroyed();
+    return {
+      schemaVersion,
+      migrated: migrationReport.migrated.slice(),
+      discarded: migrationReport.discarded.slice(),
+    };
+  }
+
+  // --- init: open storage, load entries, prepare crypto + invoke missing fetcher callback
+  // A stored record as a jar entry: decrypted, decoded and migrated to the
+  // current schemaVersion. null if it can't be read or was discarded.
+  // `rewrite` is set when the record should be stored again (migrated, or
+  // still to be moved under its obfuscated id).
+  async function entryFromRecord(raw) {
+    let e = raw;
+    let value = raw.value;
+    if (!raw.encrypted || useEncryption) {
+      try {
+        ({ record: e, value } = await readRecord(raw));
+      } catch (err) {
+        log("decrypt failed for", raw.key, err);
+        if (raw.encrypted) encryptionReport.unreadable.push({ key: raw.key, keyVersion: raw.keyVersion ?? 1 });
+        return null;
+      }
+    } else if (raw.obfuscated) {
+      return null; // can't even tell which key it belongs to
+    }
+    let rewrite = raw.encrypted && !raw.obfuscated && obfuscating();
+    const fromVersion = e.schemaVersion ?? 1;
+    if (fromVersion !== schemaVersion) {
+      let migrated = null;
+      try {
+        migrated = await migrateValue(e.key, value, fromVersion);
+      } catch (err) {
+        reportError(`Migration failed for key "${e.key}" (schema v${fromVersion})`, err);
+      }
+      if (!migrated) {
+        migrationReport.discarded.push({ key: e.key, fromVersion });
+        // a newer deploy's record — leave it on disk for the tabs that understand it
+        if (fromVersion < schemaVersion)
+          await storageDelete(raw.key).catch((err) => log("discard delete failed", err));
+        return null;
+      }
+      value = migrated.value;
+      migrationReport.migrated.push({ key: e.key, fromVersion });
+      rewrite = true;
+    }
+    observeVersion(e.version);
+    const entry = {
+      key: e.key,
+      value,
+      expiry: e.expiry,
+      ttl: e.ttl,
+      fetcherId: e.fetcherId,
+      refreshPolicy: e.refreshPolicy || "background",
+      tags: e.tags || [],
+      dependsOn: e.dependsOn || [],
+      priority: e.priority ?? 0,
+      pinned: !!e.pinned,
+      updatedAt: e.updatedAt ?? null,
+      version: e.version || null,
+      prev: null,
+      storedExpiry: e.expiry,
+      sizes: e.sizes || null,
+      encrypt: e.encrypt ?? null,
+    };
+    return { entry, rewrite };
+  }
+
   async function init() {
     log("Initializing / Starting up");
     try {
-      db = await openIDB();
+      await openStorage();
     } catch (e) {
       reportError(
-        "IndexedDB failed to open — falling back to memory-only mode for this session",
+        "Storage failed to open — falling back to memory-only mode for this session",
         e
       );
-      idbUsable = false;
-      db = null;
+      storage = createMemoryStorage();
     }
     if (useEncryption) {
       try {
         await ensureCryptoKey();
       } catch (e) {
-        console.warn("[BISCUIT] crypto init failed — disabling encryption", e);
         useEncryption = false;
-        cryptoKeyPromise = null;
+        keyringPromise = null;
+        if (strictEncryption)
+          reportError("Crypto init failed — encrypted keys will stay memory-only (strict encryption)", e);
+        else console.warn("[BISCUIT] crypto init failed — disabling encryption (keys set with encrypt: true stay memory-only)", e);
       }
     }
-    const all = await idbGetAll().catch(() => []);
-    for (const e of all) {
-      try {
-        if (e.key === "__meta__") continue;
-        let value = e.value;
-        if (e.encrypted && useEncryption) {
-          try {
-            value = await decryptValue(e.value);
-          } catch (err) {
-            log("decrypt failed for", e.key, err);
-            continue;
-          }
-        }
-        if (Date.now() < e.expiry) {
-          jar.set(e.key, {
-            key: e.key,
-            value,
-            expiry: e.expiry,
-            ttl: e.ttl,
-            fetcherId: e.fetcherId,
-            refreshPolicy: e.refreshPolicy || "background",
-          });
-          accessTimestamps.set(e.key, Date.now());
-          // if fetcherId exists and registry has fn, attach
-          if (e.fetcherId && fetcherRegistry.has(e.fetcherId)) {
-            refreshers.set(e.key, fetcherRegistry.get(e.fetcherId));
-            scheduleRefresh(e.key, e.expiry);
+    // lazyLoad: entries are read on first use (see loadEntry()) instead of all up front
+    if (!lazyLoad) {
+      const all = await storageGetAll().catch(() => []);
+      const rewrite = []; // migrated, or still to be moved under an obfuscated id
+      for (const raw of all) {
+        try {
+          if (raw.key === "__meta__") continue;
+          const loaded = await entryFromRecord(raw);
+          if (!loaded) continue;
+          const { entry } = loaded;
+          if (loaded.rewrite) rewrite.push(entry.key);
+          jar.set(entry.key, entry);
+          accessTimestamps.set(entry.key, Date.now());
+          // if fetcherId exists and registry has fn, attach — expired entries
+          // wait for GC to remove them after retention unless accessed
+          if (Date.now() < entry.expiry && entry.fetcherId && fetcherRegistry.has(entry.fetcherId)) {
+            refreshers.set(entry.key, fetcherRegistry.get(entry.fetcherId));
+            scheduleRefresh(entry.key, entry.expiry);
           }
-        } else {
-          // expired but we'll allow GC to remove it after retention unless accessed
-          jar.set(e.key, {
-            key: e.key,
-            value,
-            expiry: e.expiry,
-            ttl: e.ttl,
-            fetcherId: e.fetcherId,
-            refreshPolicy: e.refreshPolicy || "background",
-          });
-          accessTimestamps.set(e.key, Date.now());
+        } catch (err) {
+          console.warn("[BISCUIT] init entry error", err);
         }
-      } catch (err) {
-        console.warn("[BISCUIT] init entry error", err);
       }
+
+      // write migrated values back under the current schemaVersion. Not
+      // awaited: persist() waits on dbReady, i.e. on this very function.
+      // Same for records that predate obfuscateKeys — persist() moves them.
+      for (const key of rewrite) {
+        const m = jar.get(key);
+        if (m) persist(m);
+      }
+    } else {
+      startGcTimer(); // records on disk expire whether or not they're loaded
     }
+    if (lazyLoad || storageIndexed()) await loadStoredFetcherIds(); // otherwise getMissingFetcherIds() walks the jar
+    if (migrationReport.migrated.length || migrationReport.discarded.length)
+      log("Schema migration report:", migrationReport);
 
     // build missing fetcher id list and call callback if provided
-    const missing = new Set();
-    for (const [k, v] of jar.entries())
-      if (v.fetcherId && !fetcherRegistry.has(v.fetcherId))
-        missing.add(v.fetcherId);
-    const missingArr = Array.from(missing);
+    const missingArr = getMissingFetcherIds();
     if (typeof onMissingFetchers === "function") {
       log("Handling mission fetcher id with onMissingFetcher function");
       try {
@@ -505,82 +1436,398 @@ function createBiscuit({
         reportError("onMissingFetchers callback threw", e);
       }
     }
-
-    notify();
+
+    notify();
+    // replay anything left queued by an earlier session
+    drainOutbox().catch((e) => log("outbox drain error", e));
+  }
+
+  const dbReady = init();
+  function withDB(fn) {
+    return trackStorage(dbReady.then(() => fn()));
+  }
+  async function ready() {
+    await dbReady;
+    log("Biscuit ready");
+  }
+
+  // --- lazy loading (lazyLoad): ready() doesn't wait for the store to be
+  // read. An entry is loaded the first time it's used, and a memory limit
+  // (maxSize, maxBytes.memory) demotes entries back to disk-only instead of
+  // deleting them. Keys that weren't used this session stay on disk only,
+  // so keys(), subscribe() snapshots, tags and dependency cascades only see
+  // the ones in memory.
+  const coldLoads = new Map(); // key -> in-flight loadEntry()
+  const demoted = new Map(); // key -> { expiry, priority, pinned, sizes } of entries dropped from memory
+  let loadEpoch = 0; // bumped by clear(), so loads from before it are dropped
+  // fetcherIds of records on disk, off the fetcherId index, for
+  // getMissingFetcherIds(). Read on startup and again after GC deletes
+  // records; writes (and other tabs' writes) add theirs in between.
+  let storedFetcherIds = new Set();
+
+  async function loadStoredFetcherIds() {
+    try {
+      storedFetcherIds = new Set(await storageIndexValues("fetcherId"));
+    } catch (e) {
+      log("fetcherId index lookup failed", e);
+    }
+  }
+
+  function ensureLoaded(key) {
+    if (!lazyLoad || jar.has(key)) return;
+    if (!coldLoads.has(key)) coldLoads.set(key, loadEntry(key).finally(() => coldLoads.delete(key)));
+    return coldLoads.get(key);
+  }
+  async function loadEntry(key) {
+    await dbReady;
+    const epoch = loadEpoch;
+    try {
+      let raw = null;
+      for (const id of (await storageIdsFor(key)).reverse()) {
+        raw = await storageGet(id);
+        if (raw) break;
+      }
+      if (!raw) return;
+      const loaded = await entryFromRecord(raw);
+      // anything set, synced or removed while we were reading is newer
+      if (!loaded || destroyed || epoch !== loadEpoch || jar.has(key)) return;
+      const { entry } = loaded;
+      if (compareVersions(tombstoneOf(key), entry.version) > 0) return;
+      log("Loaded from storage:", key);
+      jar.set(key, entry);
+      demoted.delete(key);
+      accessTimestamps.set(key, Date.now());
+      if (Date.now() < entry.expiry && entry.fetcherId && fetcherRegistry.has(entry.fetcherId)) {
+        refreshers.set(key, fetcherRegistry.get(entry.fetcherId));
+        scheduleRefresh(key, entry.expiry);
+      }
+      startGcTimer();
+      if (loaded.rewrite) await persist(entry); // before anything else can write or delete it
+      await enforceLimits({ keep: key });
+      notify();
+    } catch (err) {
+      reportError(`Loading key "${key}" from storage failed`, err);
+    }
+  }
+  // whether the entry can be read back from storage after a demote()
+  function isStored(entry) {
+    return entry.storedExpiry != null || (storageIsShared() && entry.sizes?.stored > 0);
+  }
+  // drops an entry from memory only — false if it isn't on disk
+  async function demote(key) {
+    const entry = jar.get(key);
+    if (!entry || !isStored(entry)) return false;
+    if (pendingExtensions.has(key)) {
+      pendingExtensions.delete(key);
+      await writeExtension(entry);
+    }
+    if (jar.get(key) !== entry) return false; // replaced meanwhile
+    log("Demoting to storage-only:", key);
+    jar.delete(key);
+    refreshers.delete(key);
+    if (refreshTimers.has(key)) {
+      clearTimeout(refreshTimers.get(key));
+      refreshTimers.delete(key);
+    }
+    demoted.set(key, {
+      expiry: entry.expiry,
+      priority: entry.priority ?? 0,
+      pinned: !!entry.pinned,
+      sizes: entrySizes(entry),
+    });
+    return true;
+  }
+
+  // --- persistence helper (encrypt if enabled) — stores fetcherId (string) if provided.
+  // Takes a jar entry; only the value is encrypted, the rest is stored as-is.
+  // With writeBehind, entries are queued instead (see flushWrites()).
+  function persist(entry) {
+    return persistMany([entry]);
+  }
+  async function persistMany(entries) {
+    if (writeBehindConfig) {
+      entries.forEach(queueWrite);
+      return;
+    }
+    return writeEntries(entries);
+  }
+  // keys whose last write left no record in storage (refused, or the write
+  // failed) — GC can't find those off the expiry index
+  const unstoredKeys = new Set();
+  // writes entries' records in one storage batch (one IndexedDB transaction)
+  async function writeEntries(entries) {
+    return withDB(async () => {
+      const writes = [];
+      for (const entry of entries) {
+        const record = await toRecord(entry);
+        if (record) writes.push({ key: entry.key, record });
+        else unstoredKeys.add(entry.key);
+      }
+      if (!writes.length) return;
+      const what = writes.length === 1 ? `key "${writes[0].key}"` : `${writes.length} keys`;
+      const put = async () => {
+        await storagePutMany(writes.map(({ record }) => record));
+        for (const { key, record } of writes) {
+          unstoredKeys.delete(key);
+          if (record.fetcherId) storedFetcherIds.add(record.fetcherId);
+          await dropOtherCopies(key, record.key);
+        }
+      };
+      try {
+        await put();
+      } catch (err) {
+        for (const { key } of writes) unstoredKeys.add(key);
+        if (err && err.name === "QuotaExceededError") {
+          log("Quota exceeded on write — evicting oldest entries and retrying once");
+          try {
+            await purgeOldestUntilBelow(0); // best-effort: free up space, then retry
+            await put();
+          } catch (retryErr) {
+            reportError(`Persist failed for ${what} (quota exceeded, retry also failed)`, retryErr);
+          }
+        } else {
+          reportError(`Persist failed for ${what}`, err);
+        }
+      }
+    });
+  }
+  // a jar entry's storage record — nothing if it can't (or mustn't) be stored
+  async function toRecord(entry) {
+    const {
+      key,
+      value,
+      expiry,
+      ttl,
+      fetcherId = null,
+      refreshPolicy = "background",
+      tags = [],
+      dependsOn = [],
+      priority = 0,
+      pinned = false,
+      updatedAt = null,
+      version = null,
+    } = entry;
+    log("Persist key - value. Item:", { key, value, expiry, ttl, fetcherId, refreshPolicy, tags, dependsOn });
+    const encrypt = wantsEncryption(entry);
+    // a value that must be encrypted (see requiresEncryption()) but can't be
+    // isn't persisted at all — and an older (encrypted) copy mustn't be
+    // reloaded in its place
+    const mustEncrypt = requiresEncryption(entry);
+    const refuse = async (reason, error) => {
+      reportError(`Refusing to persist key "${key}" unencrypted — ${reason}`, error);
+      entry.sizes = null;
+      await deleteStoredRecord(key).catch((err) => log("delete of stale record failed", err));
+    };
+    try {
+      if (mustEncrypt && !useEncryption)
+        return refuse("encryption is unavailable", new Error("encryption unavailable"));
+      let toStore = value;
+      let encryptedFlag = false;
+      let serialized = false;
+      let compressed = null;
+      let sizes = null;
+      let keyVersion = null;
+      let obfuscated = false;
+      try {
+        toStore = serializer.encode(value);
+        serialized = true;
+      } catch (e) {
+        if (mustEncrypt) return refuse("it can't be serialized", e);
+        // e.g. a circular value — the backend may still be able to store it as-is
+        reportError(`Serializing key "${key}" failed — storing the raw value`, e);
+      }
+      if (serialized) {
+        log("Persist key - value. useEncryption:", useEncryption);
+        const text = toStore;
+        await ensureCryptoKey();
+        // obfuscateKeys: the real key and metadata travel inside the ciphertext
+        const hide = encrypt && obfuscating();
+        const payload = hide
+          ? JSON.stringify({ key, value: text, ttl, fetcherId, refreshPolicy, tags, dependsOn, priority, pinned, updatedAt, encrypt: entry.encrypt ?? null })
+          : text;
+        try {
+          ({ value: toStore, compressed, keyVersion, sizes } = await packText(key, payload, encrypt && useEncryption));
+          encryptedFlag = encrypt && useEncryption;
+          obfuscated = hide;
+        } catch (e) {
+          if (strictEncryption || mustEncrypt) return refuse("encryption failed", e);
+          console.warn("[BISCUIT] encrypt failed, storing plaintext", e);
+          toStore = text;
+          encryptedFlag = false;
+          compressed = null;
+        }
+      }
+      entry.sizes = sizes;
+      entry.storedExpiry = expiry;
+      return obfuscated
+        ? {
+            key: await obfuscatedId(key),
+            value: toStore,
+            expiry, // stays readable for GC
+            encrypted: true,
+            obfuscated: true,
+            keyVersion,
+            serialized,
+            compressed,
+            sizes,
+            version,
+            schemaVersion,
+          }
+        : {
+            key,
+            value: toStore,
+            expiry,
+            ttl,
+            encrypted: encryptedFlag,
+            keyVersion,
+            serialized,
+            compressed,
+            sizes,
+            encrypt: entry.encrypt ?? null,
+            fetcherId: fetcherId || null,
+            refreshPolicy,
+            tags,
+            dependsOn,
+            priority,
+            pinned,
+            updatedAt,
+            version,
+            schemaVersion,
+          };
+    } catch (err) {
+      reportError(`Persist failed for key "${key}"`, err);
+    }
   }
-
-  const dbReady = init();
-  async function withDB(fn) {
-    await dbReady;
-    return fn();
+  // a key whose record moved between its plain and obfuscated id (see
+  // storageIdsFor()) mustn't leave the old copy behind
+  async function dropOtherCopies(key, keptId) {
+    if (!obfuscating()) return;
+    for (const id of await storageIdsFor(key))
+      if (id !== keptId) await storageDelete(id).catch((err) => log("stale record delete failed", err));
   }
-  async function ready() {
-    await dbReady;
-    log("Biscuit ready");
+  async function deleteStoredRecord(key) {
+    for (const id of await storageIdsFor(key)) await storageDelete(id);
   }
-
-  // --- persistence helper (encrypt if enabled) — stores fetcherId (string) if provided
-  async function persist(key, value, expiry, ttl, fetcherId = null, refreshPolicy = "background") {
-    log("Persist key - value. Item:", { key, value, expiry, ttl, fetcherId, refreshPolicy });
+  async function removeFromDB(key) {
+    pendingWrites.delete(key);
+    pendingExtensions.delete(key);
     return withDB(async () => {
       try {
-        let toStore = value;
-        let encryptedFlag = false;
-        if (useEncryption) {
-          log("Persist key - value. useEncryption:", useEncryption);
-          try {
-            toStore = await encryptValue(value);
-            encryptedFlag = true;
-          } catch (e) {
-            console.warn("[BISCUIT] encrypt failed, storing plaintext", e);
-            encryptedFlag = false;
-            toStore = value;
-          }
-        }
-        const record = {
-          key,
-          value: toStore,
-          expiry,
-          ttl,
-          encrypted: encryptedFlag,
-          fetcherId: fetcherId || null,
-          refreshPolicy,
-        };
-        try {
-          await idbPut(record);
-        } catch (err) {
-          if (err && err.name === "QuotaExceededError") {
-            log("Quota exceeded on write — evicting oldest entries and retrying once");
-            try {
-              await purgeOldestUntilBelow(0); // best-effort: free up space, then retry
-              await idbPut(record);
-            } catch (retryErr) {
-              reportError(`Persist failed for key "${key}" (quota exceeded, retry also failed)`, retryErr);
-            }
-          } else {
-            reportError(`Persist failed for key "${key}"`, err);
-          }
-        }
+        if (writingKeys.has(key)) await writing; // or the queued write would land after the delete
+        await deleteStoredRecord(key);
       } catch (err) {
-        reportError(`Persist failed for key "${key}"`, err);
+        reportError(`Storage remove failed for key "${key}"`, err);
       }
     });
   }
-  async function removeFromDB(key) {
+  async function clearDB() {
+    pendingWrites.clear();
+    pendingExtensions.clear();
+    deferredBroadcasts = [];
     return withDB(async () => {
       try {
-        await idbDelete(key);
+        await writing;
+        await storageClear();
       } catch (err) {
-        reportError(`IndexedDB remove failed for key "${key}"`, err);
+        reportError("Storage clear failed", err);
       }
     });
   }
-  async function clearDB() {
+
+  // --- write-behind (opt-in): persist() only queues the entry — the newest
+  // one per key — and queued entries are written together, in one storage
+  // batch, `delay` ms after the first of them, on flush(), when the page
+  // is hidden and on destroy(). A tab that dies before that loses them,
+  // which for a cache just means a miss on the next load.
+  const pendingWrites = new Map(); // key -> entry
+  const writingKeys = new Set(); // keys of the batch being written right now
+  let writing = Promise.resolve(); // the flush in progress; never rejects
+  let writeTimer = null;
+  let deferredBroadcasts = []; // by-reference broadcasts waiting for their record (see postChanges())
+
+  function queueWrite(entry) {
+    pendingWrites.set(entry.key, entry);
+    if (!writeTimer)
+      writeTimer = setTimeout(() => {
+        writeTimer = null;
+        flushWrites();
+      }, writeBehindConfig.delay);
+  }
+  function flushWrites() {
+    if (writeTimer) {
+      clearTimeout(writeTimer);
+      writeTimer = null;
+    }
+    // one flush at a time, so batches land in the order they were queued
+    writing = writing.then(async () => {
+      if (!pendingWrites.size) return;
+      const entries = Array.from(pendingWrites.values());
+      pendingWrites.clear();
+      entries.forEach(({ key }) => writingKeys.add(key));
+      try {
+        await writeEntries(entries);
+      } catch (e) {
+        reportError("Write-behind flush failed", e);
+      } finally {
+        writingKeys.clear();
+      }
+      const ready = deferredBroadcasts.filter(({ key }) => !pendingWrites.has(key));
+      deferredBroadcasts = deferredBroadcasts.filter(({ key }) => pendingWrites.has(key));
+      if (!destroyed) postChanges(ready);
+    });
+    return writing;
+  }
+  // public: write everything queued — by writeBehind, and TTL extensions
+  async function flush() {
+    ensureNotDestroyed();
+    await Promise.all([flushWrites(), flushExtensions()]);
+  }
+  function flushWhenHidden() {
+    if (document.visibilityState === "hidden") {
+      flushWrites();
+      flushExtensions();
+    }
+  }
+
+  // --- lazy TTL extensions: get() slides an entry's expiry in memory; the
+  // stored record only catches up once its own expiry (`storedExpiry`) has
+  // less than extensionWriteThreshold of the ttl left — or when the page is
+  // hidden, on flush() and on destroy(), so a reload still sees the slid
+  // expiry. Catching up is a metadata-only update: the stored record gets
+  // the new expiry, its (encrypted) value is left as it is. Extensions
+  // aren't broadcast, as before — each tab slides its own copy.
+  const pendingExtensions = new Map(); // key -> entry
+
+  async function extendStoredExpiry(entry) {
+    if (pendingWrites.has(entry.key)) return; // write-behind stores the whole entry anyway
+    const ttl = entry.ttl || 5 * 60 * 1000;
+    if (entry.storedExpiry != null && entry.storedExpiry - Date.now() >= ttl * extensionWriteThreshold) {
+      pendingExtensions.set(entry.key, entry);
+      return;
+    }
+    pendingExtensions.delete(entry.key);
+    await writeExtension(entry);
+  }
+  function flushExtensions() {
+    const entries = Array.from(pendingExtensions.values());
+    pendingExtensions.clear();
+    return Promise.all(entries.map(writeExtension));
+  }
+  async function writeExtension(entry) {
+    const { key, expiry } = entry;
     return withDB(async () => {
       try {
-        await idbClear();
+        let stored = null;
+        for (const id of (await storageIdsFor(key)).reverse()) {
+          stored = await storageGet(id);
+          if (stored) break;
+        }
+        // replaced (here or in another tab) since — its writer stored its own expiry
+        if (jar.get(key) !== entry || (stored && compareVersions(stored.version, entry.version) !== 0)) return;
+        if (stored && stored.expiry < expiry) await storagePut({ ...stored, expiry });
+        entry.storedExpiry = Math.max(expiry, stored?.expiry ?? 0);
       } catch (err) {
-        reportError("IndexedDB clear failed", err);
+        reportError(`Storing the extended expiry of key "${key}" failed`, err);
       }
     });
   }
@@ -596,11 +1843,36 @@ function createBiscuit({
             ttl: entry.ttl,
             expiry: entry.expiry,
             fetcherId: entry.fetcherId,
+            tags: entry.tags,
+            dependsOn: entry.dependsOn,
+            priority: entry.priority ?? 0,
+            pinned: !!entry.pinned,
+            updatedAt: entry.updatedAt ?? null,
+            sizes: entrySizes(entry),
           }
         : entry.value;
     return result;
   }
+  // notify() calls made while held collapse into one when released —
+  // for batches (setMany(), batched broadcasts, evictions)
+  let notifyHolds = 0;
+  let notifyMissed = false;
+  async function withNotificationsHeld(fn) {
+    notifyHolds++;
+    try {
+      return await fn();
+    } finally {
+      if (--notifyHolds === 0 && notifyMissed) {
+        notifyMissed = false;
+        notify();
+      }
+    }
+  }
   function notify() {
+    if (notifyHolds) {
+      notifyMissed = true;
+      return;
+    }
     log("Notify...");
     const snapshot = getAll();
     // global subscribers
@@ -628,6 +1900,7 @@ function createBiscuit({
   function touchKey(key) {
     log("Key touched. key:", key);
     accessTimestamps.set(key, Date.now());
+    accessCounts.set(key, (accessCounts.get(key) || 0) + 1);
     if (maxSize && accessTimestamps.size > Math.max(maxSize * 2, 1000)) {
       const entries = Array.from(accessTimestamps.entries()).sort(
         (a, b) => b[1] - a[1]
@@ -635,19 +1908,103 @@ function createBiscuit({
       const keep = entries.slice(0, maxSize * 2);
       accessTimestamps.clear();
       keep.forEach(([k, t]) => accessTimestamps.set(k, t));
+      for (const k of accessCounts.keys()) if (!accessTimestamps.has(k)) accessCounts.delete(k);
+    }
+  }
+  // keys in the order they should be evicted. Pinned keys never are;
+  // otherwise lower `priority` goes first, then evictionPolicy decides —
+  // with least recently used as the tie-breaker. A custom policy is a
+  // comparator over { key, lastAccess, accessCount, expiry, priority, sizes }.
+  const evictionComparators = {
+    lru: (a, b) => a.lastAccess - b.lastAccess,
+    lfu: (a, b) => a.accessCount - b.accessCount || a.lastAccess - b.lastAccess,
+    "soonest-expiry": (a, b) => a.expiry - b.expiry || a.lastAccess - b.lastAccess,
+  };
+  function evictionOrder() {
+    const compare =
+      typeof evictionPolicy === "function" ? evictionPolicy : evictionComparators[evictionPolicy];
+    const candidates = [];
+    for (const [key, entry] of [...jar.entries(), ...demoted.entries()])
+      if (!entry.pinned)
+        candidates.push({
+          key,
+          lastAccess: accessTimestamps.get(key) ?? 0, // never touched (e.g. loaded at init) = oldest
+          accessCount: accessCounts.get(key) ?? 0,
+          expiry: entry.expiry,
+          priority: entry.priority ?? 0,
+          sizes: entrySizes(entry),
+        });
+    candidates.sort((a, b) => a.priority - b.priority || compare(a, b));
+    return candidates.map(({ key }) => key);
+  }
+  // evicts entries in evictionOrder() until both maxSize and maxBytes hold.
+  // With lazyLoad, an entry evicted only to make room in memory is demoted
+  // (kept on disk) rather than removed. `keep` (a key or a Set of keys) is
+  // what the caller just wrote or loaded: it isn't evicted to make room for
+  // itself, unless it's bigger than a byte budget on its own — then it goes first.
+  async function enforceLimits({ keep = null } = {}) {
+    log("Enforce maxSize / maxBytes if needed.");
+    if (!maxSize && !byteBudget) return;
+    const usage = byteUsage();
+    const memoryOver = () =>
+      (maxSize && jar.size > maxSize) || (byteBudget?.memory != null && usage.memory > byteBudget.memory);
+    const persistentOver = () => byteBudget?.persistent != null && usage.persistent > byteBudget.persistent;
+    if (!memoryOver() && !persistentOver()) return;
+    const kept = keep instanceof Set ? keep : new Set(keep == null ? [] : [keep]);
+    const oversized = (key) => {
+      const entry = jar.get(key) ?? demoted.get(key);
+      if (!entry) return false;
+      const { original, stored } = entrySizes(entry);
+      return original > (byteBudget?.memory ?? Infinity) || stored > (byteBudget?.persistent ?? Infinity);
+    };
+    const order = evictionOrder();
+    const tooBig = order.filter((key) => kept.has(key) && oversized(key));
+    for (const key of [...tooBig, ...order.filter((key) => !kept.has(key))]) {
+      if (!memoryOver() && !persistentOver()) break;
+      const hot = jar.get(key);
+      const entry = hot ?? demoted.get(key);
+      if (!entry) continue; // already gone with an earlier eviction
+      const { original, stored } = entrySizes(entry);
+      if (persistentOver() && stored > 0) {
+        await removeEntry(key);
+        usage.persistent -= stored;
+      } else if (!hot || !memoryOver()) {
+        continue; // frees nothing that's over: a demoted entry takes no memory, an unstored one no storage
+      } else if (lazyLoad && (pendingWrites.has(key) || writingKeys.has(key) || keySubscribers.get(key)?.size)) {
+        continue; // not on disk yet, or someone's watching it — left for a later pass
+      } else if (!lazyLoad || !(await demote(key))) {
+        await removeEntry(key);
+        usage.persistent -= stored;
+      }
+      if (hot) usage.memory -= original;
+    }
+  }
+
+  // --- byte accounting. An entry's memory size is its serialized size;
+  // its persistent size is what persist() last wrote (after compression /
+  // encryption), or 0 if it isn't persisted.
+  function entrySizes(entry) {
+    if (!entry.sizes) {
+      let original = 0;
+      try {
+        original = new TextEncoder().encode(serializer.encode(entry.value)).byteLength;
+      } catch (e) {
+        // unserializable (e.g. circular) — nothing better to go on
+      }
+      entry.sizes = { original, stored: 0 };
     }
+    return entry.sizes;
   }
-  async function enforceMaxSizeIfNeeded() {
-    log("Max size enforce if needed.");
-    if (!maxSize) return;
-    if (jar.size <= maxSize) return;
-    const items = Array.from(accessTimestamps.entries()).sort(
-      (a, b) => a[1] - b[1]
-    ); // oldest first
-    while (jar.size > maxSize && items.length) {
-      const [evictKey] = items.shift();
-      await remove(evictKey);
+  function byteUsage() {
+    let memory = 0;
+    let persistent = 0;
+    for (const entry of jar.values()) {
+      const { original, stored } = entrySizes(entry);
+      memory += original;
+      persistent += stored;
     }
+    for (const { sizes } of demoted.values()) persistent += sizes.stored;
+    return { memory, persistent };
   }
 
   // --- quota helpers (best-effort)
@@ -668,19 +2025,21 @@ function createBiscuit({
   }
   async function purgeOldestUntilBelow(targetBytes) {
     log("Purge oldest until it is below max size.");
-    if (!maxSize) {
-      const items = Array.from(accessTimestamps.entries()).sort(
-        (a, b) => a[1] - b[1]
-      );
-      for (const [key] of items) {
-        await remove(key);
-        try {
-          const est = await navigator.storage.estimate();
-          if (est.quota && est.usage && est.usage <= targetBytes) break;
-        } catch (e) {}
-      }
-    } else {
-      await enforceMaxSizeIfNeeded();
+    if (maxSize) return enforceLimits();
+    // the estimate covers the whole origin, so it only tells us how much to
+    // free; what each eviction frees comes from our own accounting
+    let excess = Infinity;
+    try {
+      const est = await navigator.storage.estimate();
+      if (est.usage) excess = est.usage - targetBytes;
+    } catch (e) {}
+    for (const key of evictionOrder()) {
+      if (excess <= 0) break;
+      const entry = jar.get(key);
+      if (!entry) continue;
+      const { stored } = entrySizes(entry);
+      await removeEntry(key);
+      excess -= stored;
     }
   }
 
@@ -699,24 +2058,78 @@ function createBiscuit({
     }
   }
 
+  // --- keys: non-empty strings, or arrays / plain objects hashed into a
+  // stable string (see hashKey()) — every public method accepts either
+  function normalizeKey(key, method) {
+    if (typeof key === "string" ? key : Array.isArray(key) ? key.length : isPlainObject(key))
+      return hashKey(key);
+    throw new Error(`${method}() expects a non-empty string, array or plain-object key`);
+  }
+
   // --- public API: set/get/mutate/remove/clear/subscribe
   async function set(key, value, ttl = 5 * 60 * 1000, fetcher = null, options = {}) {
     ensureNotDestroyed();
     log("Set item. item:", { key, value, ttl, fetcher, options });
-    if (typeof key !== "string" || !key)
-      throw new Error("set() expects a non-empty string key");
+    key = normalizeKey(key, "set");
+    await dbReady;
+    await ensureLoaded(key); // its settings carry over when options omit them
+    const entry = buildEntry(key, value, ttl, options);
+    applyEntry(entry, fetcher);
+    await persist(entry);
+    broadcastChange(key, toBroadcastEntry(entry));
+    scheduleRefresh(key, entry.expiry);
+    await enforceLimits({ keep: key });
+    notify();
+    checkQuotaAndMaybePurge().catch((e) => log("quota check error", e));
+  }
+
+  // validates set() options against the key's current entry (whose
+  // settings are kept when omitted) — throws before anything changes
+  function buildEntry(key, value, ttl, options = {}) {
     if (key === "__meta__")
       throw new Error('"__meta__" is a reserved Biscuit key and cannot be set');
-    await dbReady;
     const existingEntry = jar.get(key);
     const refreshPolicy = options.refreshPolicy || existingEntry?.refreshPolicy || "background";
     if (!["background", "on-demand", "never"].includes(refreshPolicy))
       throw new Error(
         `set() refreshPolicy must be "background", "on-demand", or "never" (got "${refreshPolicy}")`
       );
-    const expiry = Date.now() + ttl;
-    const entry = { key, value, expiry, ttl, refreshPolicy };
+    const tags = options.tags !== undefined ? normalizeTags(options.tags) : existingEntry?.tags || [];
+    const dependsOn =
+      options.dependsOn !== undefined
+        ? normalizeDependsOn(key, options.dependsOn)
+        : existingEntry?.dependsOn || [];
+    const encrypt = options.encrypt !== undefined ? options.encrypt : existingEntry?.encrypt ?? null;
+    if (encrypt !== null && typeof encrypt !== "boolean")
+      throw new Error(`set() encrypt must be true or false (got "${encrypt}")`);
+    if (encrypt && !secret) throw new Error("set() encrypt: true needs a `secret` in createBiscuit()");
+    const priority = options.priority !== undefined ? options.priority : existingEntry?.priority ?? 0;
+    if (typeof priority !== "number" || !Number.isFinite(priority))
+      throw new Error(`set() priority must be a finite number (got "${priority}")`);
+    const pinned = options.pinned !== undefined ? options.pinned : existingEntry?.pinned ?? false;
+    if (typeof pinned !== "boolean") throw new Error(`set() pinned must be true or false (got "${pinned}")`);
+    return {
+      key,
+      value,
+      expiry: Date.now() + ttl,
+      ttl,
+      refreshPolicy,
+      tags,
+      dependsOn,
+      encrypt,
+      priority,
+      pinned,
+      updatedAt: Date.now(),
+      version: nextVersion(),
+      prev: existingEntry?.version || null,
+    };
+  }
+  // puts a built entry in the jar and binds its fetcher
+  function applyEntry(entry, fetcher) {
+    const { key } = entry;
     jar.set(key, entry);
+    demoted.delete(key);
+    tombstones.delete(key);
     touchKey(key);
 
     if (jar.size >= 1) startGcTimer(); // start GC when entry arrives
@@ -741,12 +2154,6 @@ function createBiscuit({
     }
 
     entry.fetcherId = fetcherIdToPersist;
-    await persist(key, value, expiry, ttl, fetcherIdToPersist, refreshPolicy);
-    broadcastChange(key, { value, expiry, ttl, fetcherId: fetcherIdToPersist, refreshPolicy });
-    scheduleRefresh(key, expiry);
-    await enforceMaxSizeIfNeeded();
-    notify();
-    checkQuotaAndMaybePurge().catch((e) => log("quota check error", e));
   }
 
   async function get(
@@ -755,9 +2162,9 @@ function createBiscuit({
   ) {
     ensureNotDestroyed();
     log("Get item:", key);
-    if (typeof key !== "string" || !key)
-      throw new Error("get() expects a non-empty string key");
+    key = normalizeKey(key, "get");
     await dbReady;
+    await ensureLoaded(key);
     const entry = jar.get(key);
     if (!entry) return null;
     const expired = Date.now() > entry.expiry;
@@ -788,14 +2195,15 @@ function createBiscuit({
       // the rare case where a key expires before its scheduled refresh
       // catches up (e.g. after being offline).
       if (autoRefreshAllowed && (entry.refreshPolicy === "on-demand" || staleWhileRevalidate)) {
-        refresh(key).catch((e) => log("refresh error", e));
+        requestRefresh([key], { cascade: true }).catch((e) => log("refresh error", e));
         return entry.value;
       }
 
       jar.delete(key);
       accessTimestamps.delete(key);
+      accessCounts.delete(key);
       await removeFromDB(key);
-      broadcastChange(key, null);
+      broadcastChange(key, null, removalVersion(key));
       notify();
       return null;
     }
@@ -805,9 +2213,9 @@ function createBiscuit({
       // 🔁 Ensure fetcher is rebound if missing
       ensureFetcherBound(key); // ✅ always rebind on access
 
-      // 🕒 Extend expiry and persist
+      // 🕒 Extend expiry — stored lazily, see extendStoredExpiry()
       entry.expiry = Date.now() + (entry.ttl || 5 * 60 * 1000);
-      await persist(key, entry.value, entry.expiry, entry.ttl, entry.fetcherId, entry.refreshPolicy);
+      await extendStoredExpiry(entry);
 
       scheduleRefresh(key, entry.expiry);
     }
@@ -817,14 +2225,200 @@ function createBiscuit({
     return entry.value;
   }
 
-  async function mutate(key, mutator) {
+  // --- read-through: the cached value if there is one, otherwise load it
+  // with the fetcher and cache it like set() would. Unlike refresh(), the
+  // fetcher's errors reach the caller — there's nothing stale to fall back on.
+  async function getOrFetch(
+    key,
+    fetcher,
+    { ttl, getOptions, ...setOptions } = {}
+  ) {
+    ensureNotDestroyed();
+    log("Get or fetch item:", key);
+    key = normalizeKey(key, "getOrFetch");
+    const fn = typeof fetcher === "function" ? fetcher : fetcher?.fn;
+    if (typeof fn !== "function")
+      throw new Error("getOrFetch() expects a fetcher function or { id, fn }");
+
+    const cached = await get(key, getOptions);
+    if (cached !== null) return cached;
+
+    // de-duplicate concurrent first loads — share one in-flight fetch
+    if (pendingLoads.has(key)) {
+      log("Load already in-flight for", key, "— reusing promise");
+      return pendingLoads.get(key);
+    }
+    const promise = (async () => {
+      const controller = abortSupported ? new AbortController() : null;
+      if (controller) activeAbortControllers.set(key, controller);
+      try {
+        const value = await withTimeout(
+          Promise.resolve(fn(controller ? controller.signal : undefined)),
+          fetchTimeout,
+          `Fetcher for key "${key}"`,
+          controller
+            ? () => controller.abort(new Error(`fetchTimeout of ${fetchTimeout}ms exceeded`))
+            : undefined
+        );
+        await set(key, value, ttl, fetcher, setOptions);
+        return value;
+      } finally {
+        if (controller && activeAbortControllers.get(key) === controller) {
+          activeAbortControllers.delete(key);
+        }
+      }
+    })().finally(() => {
+      pendingLoads.delete(key);
+    });
+    pendingLoads.set(key, promise);
+    return promise;
+  }
+
+  // --- paginated entries: one key holding an ordered list of pages
+  // ({ pages: [{ cursor, data, nextCursor, prevCursor }] }), so a feed is
+  // refreshed, persisted and synced across tabs as a single unit
+  function paginated(
+    key,
+    { fetchPage, initialCursor = null, id = null, ttl, maxPages = null, ...setOptions } = {}
+  ) {
+    ensureNotDestroyed();
+    key = normalizeKey(key, "paginated");
+    if (typeof fetchPage !== "function")
+      throw new Error("paginated() expects options.fetchPage to be a function");
+
+    async function loadPage(cursor, direction, signal) {
+      const page = await fetchPage(cursor, { direction, signal });
+      if (!page || typeof page !== "object")
+        throw new Error(`fetchPage() for "${key}" must resolve to { data, nextCursor?, prevCursor? }`);
+      return {
+        cursor,
+        data: page.data,
+        nextCursor: page.nextCursor ?? null,
+        prevCursor: page.prevCursor ?? null,
+      };
+    }
+
+    // The entry's fetcher: refetches as many pages as are loaded, walking
+    // the cursor chain from the first one so the pages stay consistent
+    // with each other (cursors may shift as the underlying data changes).
+    async function refetchAll(signal) {
+      const loaded = jar.get(key)?.value?.pages || [];
+      let cursor = loaded.length ? loaded[0].cursor : initialCursor;
+      const pages = [];
+      for (let i = 0; i < Math.max(loaded.length, 1); i++) {
+        const page = await loadPage(cursor, "initial", signal);
+        pages.push(page);
+        if (page.nextCursor === null) break;
+        cursor = page.nextCursor;
+      }
+      return { pages };
+    }
+
+    const fetcher = id ? { id, fn: refetchAll } : refetchAll;
+    if (id) registerFetcher(id, refetchAll); // rebinds a persisted feed after reload
+    const pendingPages = new Map(); // direction -> in-flight fetch, one per direction
+
+    // loadPage() with fetchTimeout, abortable by remove() / clear() / destroy()
+    async function loadAdjacentPage(cursor, direction) {
+      const controller = abortSupported ? new AbortController() : null;
+      if (controller) {
+        if (!pageAbortControllers.has(key)) pageAbortControllers.set(key, new Set());
+        pageAbortControllers.get(key).add(controller);
+      }
+      try {
+        return await withTimeout(
+          loadPage(cursor, direction, controller ? controller.signal : undefined),
+          fetchTimeout,
+          `fetchPage() for key "${key}"`,
+          controller
+            ? () => controller.abort(new Error(`fetchTimeout of ${fetchTimeout}ms exceeded`))
+            : undefined
+        );
+      } finally {
+        const controllers = pageAbortControllers.get(key);
+        if (controller && controllers) {
+          controllers.delete(controller);
+          if (!controllers.size) pageAbortControllers.delete(key);
+        }
+      }
+    }
+
+    function load() {
+      return getOrFetch(key, fetcher, { ttl, ...setOptions });
+    }
+
+    function fetchAdjacentPage(direction) {
+      ensureNotDestroyed();
+      if (pendingPages.has(direction)) return pendingPages.get(direction);
+      const promise = (async () => {
+        const start = await load();
+        const cursor = edgeOf(start, direction);
+        if (cursor === null || cursor === undefined) return start; // nothing more that way
+
+        const page = await loadAdjacentPage(cursor, direction);
+        // a refresh (or another tab) may have replaced the pages meanwhile —
+        // fine as long as that edge still has the cursor we used (e.g. only
+        // a page was added at the other end)
+        const current = jar.get(key)?.value;
+        if (!current?.pages || !sameCursor(edgeOf(current, direction), cursor)) {
+          log(`Discarding ${direction} page for ${key} — pages changed while it loaded`);
+          return current ?? start;
+        }
+        let pages = direction === "next" ? [...current.pages, page] : [page, ...current.pages];
+        if (maxPages && pages.length > maxPages)
+          pages = direction === "next" ? pages.slice(-maxPages) : pages.slice(0, maxPages);
+        const next = { pages };
+        await set(key, next, ttl ?? jar.get(key)?.ttl, fetcher, setOptions);
+        return next;
+      })().finally(() => {
+        pendingPages.delete(direction);
+      });
+      pendingPages.set(direction, promise);
+      return promise;
+    }
+
+    function edgeOf(value, direction) {
+      const pages = value?.pages;
+      if (!pages?.length) return null;
+      return direction === "next" ? pages[pages.length - 1].nextCursor : pages[0].prevCursor;
+    }
+    function sameCursor(a, b) {
+      if (a === b) return true;
+      try {
+        return serializer.encode(a) === serializer.encode(b); // e.g. object cursors, after a reload
+      } catch (e) {
+        return false;
+      }
+    }
+    function edgeCursor(direction) {
+      return edgeOf(jar.get(key)?.value, direction);
+    }
+
+    return {
+      key,
+      get: load,
+      fetchNextPage: () => fetchAdjacentPage("next"),
+      fetchPreviousPage: () => fetchAdjacentPage("previous"),
+      hasNextPage: () => edgeCursor("next") != null,
+      hasPreviousPage: () => edgeCursor("previous") != null,
+      refresh: () => refresh(key),
+      subscribe: (fn) => subscribeKey(key, fn),
+    };
+  }
+
+  // With `commit`, the mutation is optimistic: the new value is applied
+  // (and broadcast) right away, then `commit(newValue)` is awaited — if it
+  // rejects, the previous value is restored and the error rethrown.
+  async function mutate(key, mutator, { commit = null, rollbackOnError = true, reconcile = false } = {}) {
     ensureNotDestroyed();
     log("Mutate item:", { key, mutator });
+    if (commit !== null && typeof commit !== "function")
+      throw new Error("mutate() options.commit must be a function");
     if (typeof mutator !== "function")
       throw new Error("mutate() expects a function as second argument");
-    if (typeof key !== "string" || !key)
-      throw new Error("mutate() expects a non-empty string key");
+    key = normalizeKey(key, "mutate");
 
+    await ensureLoaded(key);
     const entry = jar.get(key);
     if (!entry) return;
 
@@ -844,27 +2438,77 @@ function createBiscuit({
     // bump generation so later stale ops won't overwrite
     refreshGenerations.set(key, expectedGen + 1);
 
-    await set(
-      key,
-      newValue,
-      entry.ttl,
-      // jar.get(key)?.ttl,
-      refreshers.get(key)
-        ? { fn: refreshers.get(key), id: entry.fetcherId }
-        : null
-    );
+    const fetcherArg = refreshers.get(key)
+      ? { fn: refreshers.get(key), id: entry.fetcherId }
+      : null;
+    await set(key, newValue, entry.ttl, fetcherArg);
+    if (!commit) return;
+
+    // only undo/overwrite our own write — if a refresh, another mutate or
+    // another tab replaced the entry meanwhile, that newer value wins
+    const optimisticEntry = jar.get(key);
+    let response;
+    try {
+      response = await commit(newValue);
+    } catch (err) {
+      if (rollbackOnError && !destroyed) {
+        if (jar.get(key) === optimisticEntry) {
+          log(`mutate() commit failed for ${key} — rolling back`);
+          await set(key, current, entry.ttl, fetcherArg);
+        } else {
+          log(`mutate() commit failed for ${key}, but it changed since — not rolling back`);
+        }
+      }
+      throw err;
+    }
+
+    if (reconcile && !destroyed && jar.get(key) === optimisticEntry) {
+      const reconciled =
+        typeof reconcile === "function" ? await reconcile(response, newValue) : response;
+      if (reconciled !== undefined) {
+        log(`mutate() reconciling ${key} with the commit response`);
+        await set(key, reconciled, entry.ttl, fetcherArg);
+      }
+    }
   }
 
   async function remove(key) {
     ensureNotDestroyed();
     log("Remove item:", key);
-    if (typeof key !== "string" || !key)
-      throw new Error("remove() expects a non-empty string key");
+    key = normalizeKey(key, "remove");
     await dbReady;
+    await ensureLoaded(key);
     if (!jar.has(key)) return;
+    const dependents = dependentsInOrder(key); // before the entry (and its edges) is gone
+    await removeEntry(key);
+    await cascadeInvalidation(dependents);
+  }
+
+  // cancels paginated() page loads for a key that's gone
+  function abortPageLoads(key, reason) {
+    const controllers = pageAbortControllers.get(key);
+    if (!controllers) return;
+    pageAbortControllers.delete(key);
+    controllers.forEach((controller) => {
+      try {
+        controller.abort(reason);
+      } catch (_) {
+        /* ignore */
+      }
+    });
+  }
+
+  // removal without the dependency cascade — for eviction and GC, where
+  // the entry's data didn't actually change
+  async function removeEntry(key) {
+    if (!jar.has(key) && !demoted.has(key)) return;
+    abortPageLoads(key, new Error(`Key "${key}" was removed while a page was loading`));
     jar.delete(key);
+    demoted.delete(key);
+    unstoredKeys.delete(key);
     refreshers.delete(key);
     accessTimestamps.delete(key);
+    accessCounts.delete(key);
 
     // bump generation so pending refresh results are ignored
     refreshGenerations.set(key, (refreshGenerations.get(key) || 0) + 1);
@@ -874,18 +2518,24 @@ function createBiscuit({
       refreshTimers.delete(key);
     }
     await removeFromDB(key);
-    broadcastChange(key, null);
+    broadcastChange(key, null, removalVersion(key));
     notify();
-    if (jar.size === 0) stopGcTimer(); // stop GC when jar is empty
+    if (jar.size === 0 && !lazyLoad) stopGcTimer(); // stop GC when jar is empty
   }
 
   async function clear() {
     ensureNotDestroyed();
     log("Clear item:");
     await dbReady;
+    for (const key of Array.from(pageAbortControllers.keys())) abortPageLoads(key, new Error("Biscuit was cleared while a page was loading"));
     jar.clear();
+    demoted.clear();
+    unstoredKeys.clear();
+    storedFetcherIds.clear();
+    loadEpoch++;
     refreshers.clear();
     accessTimestamps.clear();
+    accessCounts.clear();
 
     // bump generation for all keys so pending refreshes abort
     for (const key of refreshGenerations.keys()) {
@@ -893,6 +2543,7 @@ function createBiscuit({
     }
     refreshTimers.forEach((t) => clearTimeout(t));
     refreshTimers.clear();
+    tombstones.clear();
     await clearDB();
     broadcastChange(null, null);
     notify();
@@ -910,8 +2561,7 @@ function createBiscuit({
   function subscribeKey(key, fn) {
     ensureNotDestroyed();
     log("Subscribe key:", { key, fn });
-    if (typeof key !== "string" || !key)
-      throw new Error("subscribeKey() expects a non-empty string key");
+    key = normalizeKey(key, "subscribeKey");
     if (typeof fn !== "function")
       throw new Error("subscribeKey() expects a function as second argument");
     if (!keySubscribers.has(key)) keySubscribers.set(key, new Set());
@@ -925,6 +2575,7 @@ function createBiscuit({
     try {
       fn(jar.get(key)?.value ?? null);
     } catch (e) {}
+    ensureLoaded(key); // lazyLoad: fires again once it's read from disk
 
     return () => {
       log("Returned unsubcribe function");
@@ -959,29 +2610,51 @@ function createBiscuit({
     if (refreshTimers.has(key)) clearTimeout(refreshTimers.get(key));
 
     const ttl = entry.ttl || 5 * 60 * 1000;
-    const refreshTime = expiry - Date.now() - Math.floor(ttl * 0.1);
+    // followers fire a little after the leader would: its refreshed value
+    // normally arrives first and reschedules this timer
+    const followerDelay = !isLeader && entry.fetcherId ? Math.floor(ttl * 0.05) : 0;
+    const refreshTime = expiry - Date.now() - Math.floor(ttl * 0.1) + followerDelay;
 
     if (refreshTime <= 0) {
       log("refreshTime less / equal to 0, so quick refrsh.");
-      refresh(key, gen).catch((e) => log("immediate refresh error", e));
+      runScheduledRefresh(key, gen).catch((e) => log("immediate refresh error", e));
       return;
     }
     const timer = setTimeout(() => {
-      refresh(key, gen).catch((e) => log("scheduled refresh error", e));
+      runScheduledRefresh(key, gen).catch((e) => log("scheduled refresh error", e));
     }, refreshTime);
     refreshTimers.set(key, timer);
   }
+  // a follower hands a persistable fetcher's refresh to the leader, which
+  // declines it back if it never registered that fetcher (see
+  // handleRefreshRequest()) — so some tab always refreshes the key
+  function runScheduledRefresh(key, gen) {
+    if (isLeader || !jar.get(key)?.fetcherId) return refresh(key, gen);
+    return requestRefresh([key], { cascade: true });
+  }
 
-  async function refresh(key, expectedGen = refreshGenerations.get(key)) {
+  async function refresh(key, expectedGen, { cascade = true } = {}) {
     ensureNotDestroyed();
+    key = normalizeKey(key, "refresh");
+    settleHandoff(key);
+    if (expectedGen === undefined) expectedGen = refreshGenerations.get(key);
     // de-duplicate concurrent refresh calls for the same key — share one in-flight fetch
     if (pendingRefreshes.has(key)) {
       log("Refresh already in-flight for", key, "— reusing promise");
       return pendingRefreshes.get(key);
     }
-    const promise = doRefresh(key, expectedGen).finally(() => {
-      pendingRefreshes.delete(key);
-    });
+    const promise = Promise.resolve(ensureLoaded(key))
+      .then(() => doRefresh(key, expectedGen))
+      .then((ok) => {
+        // fresh upstream data — bring dependents up to date too, without
+        // making this caller wait on their fetchers
+        if (ok && cascade)
+          requestRefresh(dependentsInOrder(key)).catch((e) => log("cascade refresh error", e));
+        return ok;
+      })
+      .finally(() => {
+        pendingRefreshes.delete(key);
+      });
     pendingRefreshes.set(key, promise);
     return promise;
   }
@@ -1026,101 +2699,436 @@ function createBiscuit({
         if (!jar.has(key)) return false;
         if (expectedGen !== refreshGenerations.get(key)) return false; // superseded mid-fetch
 
-        const fetcherId = entry.fetcherId;
-        await set(
-          key,
-          freshValue,
-          entry.ttl,
-          fetcherId ? { fn: fetcher, id: fetcherId } : fetcher
-        );
-        return true;
+        const fetcherId = entry.fetcherId;
+        await set(
+          key,
+          freshValue,
+          entry.ttl,
+          fetcherId ? { fn: fetcher, id: fetcherId } : fetcher
+        );
+        return true;
+      } catch (e) {
+        lastErr = e;
+        console.warn(
+          `[BISCUIT] Refresh attempt ${attempt + 1}/${maxRetries + 1} failed for ${key}:`,
+          e
+        );
+      } finally {
+        if (controller && activeAbortControllers.get(key) === controller) {
+          activeAbortControllers.delete(key);
+        }
+      }
+    }
+    console.warn(`[BISCUIT] Refresh exhausted retries for ${key}`, lastErr);
+    reportError(`Background refresh exhausted retries for key "${key}"`, lastErr);
+    return false;
+  }
+
+  function has(key) {
+    ensureNotDestroyed();
+    const entry = jar.get(normalizeKey(key, "has"));
+    return !!entry && Date.now() < entry.expiry;
+  }
+
+  // --- invalidation: force expiry now, so the next get() (or an active
+  // background/on-demand fetcher) picks up a fresh value
+  async function invalidate(key) {
+    ensureNotDestroyed();
+    log("Invalidate key:", key);
+    key = normalizeKey(key, "invalidate");
+    await ensureLoaded(key);
+    if (!jar.has(key)) return false;
+
+    const dependents = dependentsInOrder(key);
+    await expireEntry(key);
+    await cascadeInvalidation(dependents, [key]);
+    return true;
+  }
+
+  // force-expires a single entry, without touching its dependents
+  async function expireEntry(key) {
+    const entry = jar.get(key);
+    if (!entry) return;
+    entry.expiry = Date.now() - 1;
+    entry.prev = entry.version;
+    entry.version = nextVersion();
+    await persist(entry);
+    broadcastChange(key, toBroadcastEntry(entry));
+    notify();
+  }
+
+  // --- dependencies: `set(..., { dependsOn })` declares that a key is
+  // derived from others, so invalidating/removing/refreshing those
+  // cascades to it. The graph lives on the entries themselves.
+  function normalizeDependsOn(key, dependsOn) {
+    if (!Array.isArray(dependsOn))
+      throw new Error("set() options.dependsOn must be an array of keys");
+    const deps = Array.from(new Set(dependsOn.map((k) => normalizeKey(k, "set"))));
+    // walk upstream from the new deps — reaching `key` means a cycle
+    const stack = [...deps];
+    const seen = new Set();
+    while (stack.length) {
+      const k = stack.pop();
+      if (k === key)
+        throw new Error(`set() dependsOn for "${key}" would create a dependency cycle`);
+      if (seen.has(k)) continue;
+      seen.add(k);
+      stack.push(...(jar.get(k)?.dependsOn || []));
+    }
+    return deps;
+  }
+
+  function dependencyGraph() {
+    const graph = {};
+    for (const [k, e] of jar.entries()) if (e.dependsOn?.length) graph[k] = e.dependsOn.slice();
+    return graph;
+  }
+
+  // Every key that (transitively) depends on `root`, in topological order:
+  // each key comes after everything it depends on. Cycles can still sneak in
+  // via concurrent writes from other tabs — they're broken, not followed.
+  function dependentsInOrder(root) {
+    const dependents = new Map(); // key -> keys that depend on it
+    for (const [k, e] of jar.entries())
+      for (const dep of e.dependsOn || []) {
+        if (!dependents.has(dep)) dependents.set(dep, []);
+        dependents.get(dep).push(k);
+      }
+    const order = [];
+    const visited = new Set();
+    const visiting = new Set();
+    const visit = (k) => {
+      if (visited.has(k)) return;
+      if (visiting.has(k)) {
+        log(`Dependency cycle through "${k}" — not following it`);
+        return;
+      }
+      visiting.add(k);
+      for (const d of dependents.get(k) || []) visit(d);
+      visiting.delete(k);
+      visited.add(k);
+      order.push(k);
+    };
+    visit(root);
+    return order.reverse().filter((k) => k !== root);
+  }
+
+  // Expires every dependent, then refreshes whichever keys have a fetcher
+  // attached — one at a time, so each fetcher runs after the ones it
+  // depends on — rather than waiting for the next get() to notice.
+  async function cascadeInvalidation(dependents, roots = []) {
+    if (dependents.length) log("Cascading invalidation to", dependents);
+    for (const dep of dependents) await expireEntry(dep);
+    requestRefresh([...roots, ...dependents]).catch((e) => log("cascade refresh error", e));
+  }
+  async function refreshInOrder(keys, { cascade = false } = {}) {
+    for (const k of keys) {
+      if (destroyed) return;
+      if (!refreshers.has(k)) continue;
+      await refresh(k, refreshGenerations.get(k), { cascade }).catch((e) =>
+        log("cascade refresh error", k, e)
+      );
+    }
+  }
+
+  // --- pattern invalidation: '*' wildcard string, a RegExp, or an array
+  // key prefix (["user", 42] matches ["user", 42] and ["user", 42, "posts"])
+  async function invalidatePattern(pattern) {
+    ensureNotDestroyed();
+    log("Invalidate pattern:", pattern);
+    const test = keyMatcher(pattern, "invalidatePattern() expects");
+    const matched = Array.from(jar.keys()).filter(test);
+    await Promise.all(matched.map((k) => invalidate(k)));
+    return matched;
+  }
+
+  // (hashed key) => boolean for a pattern; `expects` starts the error message
+  function keyMatcher(pattern, expects) {
+    if (pattern instanceof RegExp) return (k) => pattern.test(k);
+    if (typeof pattern === "string") {
+      const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+      const re = new RegExp(`^${escaped.replace(/\*/g, ".*")}$`);
+      return (k) => re.test(k);
+    }
+    if (Array.isArray(pattern) && pattern.length) {
+      // hashed array keys share their prefix's serialization, minus its
+      // closing bracket, followed by the next element (",") or the end ("]")
+      const head = hashKey(pattern).slice(0, -1);
+      return (k) => k.startsWith(head) && (k[head.length] === "," || k[head.length] === "]");
+    }
+    throw new Error(`${expects} a string, RegExp or non-empty array key prefix`);
+  }
+
+  // --- query / entries(): filtered views over the cache that don't copy
+  // all of it. With lazyLoad, entries that aren't in memory are streamed
+  // from storage, one record at a time, without being loaded.
+  const QUERY_FIELDS = ["prefix", "pattern", "tag", "fetcherId", "expired", "olderThan", "limit"];
+
+  // validates a query filter — throws before anything is read
+  function compileQuery(filter, method) {
+    if (filter === null || typeof filter !== "object" || Array.isArray(filter))
+      throw new Error(`${method}() expects a filter object`);
+    const { prefix, pattern, tag, fetcherId, expired, olderThan } = filter;
+    for (const field of Object.keys(filter))
+      if (!QUERY_FIELDS.includes(field)) throw new Error(`${method}() got an unknown filter "${field}"`);
+    const tests = [];
+    if (prefix !== undefined) {
+      if (typeof prefix === "string") tests.push((key) => key.startsWith(prefix));
+      else if (Array.isArray(prefix) && prefix.length) tests.push(keyMatcher(prefix, ""));
+      else throw new Error(`${method}() prefix must be a string or a non-empty array key prefix`);
+    }
+    if (pattern !== undefined) tests.push(keyMatcher(pattern, `${method}() pattern must be`));
+    const keyTests = tests.slice(); // the ones that only need the key
+    if (tag !== undefined) {
+      if (typeof tag !== "string" || !tag) throw new Error(`${method}() tag must be a non-empty string`);
+      tests.push((key, entry) => !!entry.tags?.includes(tag));
+    }
+    if (fetcherId !== undefined) {
+      if (typeof fetcherId !== "string" || !fetcherId)
+        throw new Error(`${method}() fetcherId must be a non-empty string`);
+      tests.push((key, entry) => entry.fetcherId === fetcherId);
+    }
+    if (expired !== undefined) {
+      if (typeof expired !== "boolean") throw new Error(`${method}() expired must be true or false (got "${expired}")`);
+      tests.push((key, entry, now) => (now >= entry.expiry) === expired);
+    }
+    if (olderThan !== undefined) {
+      if (typeof olderThan !== "number" || !(olderThan >= 0))
+        throw new Error(`${method}() olderThan must be a number of ms >= 0 (got "${olderThan}")`);
+      tests.push((key, entry, now) => now - updatedAt(entry) >= olderThan);
+    }
+    return {
+      tag,
+      fetcherId,
+      expired,
+      matchesKey: (key) => keyTests.every((test) => test(key)),
+      matches: (key, entry, now) => tests.every((test) => test(key, entry, now)),
+    };
+  }
+  // records from before updatedAt was stored: expiry - ttl is when the value
+  // was last written (or its TTL last extended)
+  function updatedAt(entry) {
+    return entry.updatedAt ?? entry.expiry - (entry.ttl ?? 0);
+  }
+  function describeEntry(key, entry, now, loaded) {
+    return {
+      key,
+      value: entry.value,
+      ttl: entry.ttl ?? null,
+      expiry: entry.expiry,
+      expired: now >= entry.expiry,
+      updatedAt: entry.updatedAt ?? null,
+      fetcherId: entry.fetcherId || null,
+      tags: entry.tags || [],
+      dependsOn: entry.dependsOn || [],
+      priority: entry.priority ?? 0,
+      pinned: !!entry.pinned,
+      sizes: loaded ? entrySizes(entry) : entry.sizes || { original: 0, stored: 0 },
+      loaded, // in memory — false for entries read from storage for this query only
+    };
+  }
+
+  function entries(filter = {}) {
+    ensureNotDestroyed();
+    return walkEntries(compileQuery(filter, "entries"));
+  }
+  async function* walkEntries(query) {
+    await dbReady;
+    const seen = new Set();
+    for (const key of Array.from(jar.keys())) {
+      const entry = jar.get(key);
+      if (!entry || destroyed) continue; // removed since the walk started
+      seen.add(key);
+      const now = Date.now();
+      if (query.matches(key, entry, now)) yield describeEntry(key, entry, now, true);
+    }
+    if (!lazyLoad || destroyed) return;
+    for (const id of await coldRecordIds(query)) {
+      if (destroyed) return;
+      // without obfuscation, the storage id is the key — skip before reading
+      if (!obfuscating() && (seen.has(id) || !query.matchesKey(id))) continue;
+      let loaded = null;
+      try {
+        const raw = await storageGet(id);
+        if (raw) loaded = await entryFromRecord(raw);
       } catch (e) {
-        lastErr = e;
-        console.warn(
-          `[BISCUIT] Refresh attempt ${attempt + 1}/${maxRetries + 1} failed for ${key}:`,
-          e
-        );
-      } finally {
-        if (controller && activeAbortControllers.get(key) === controller) {
-          activeAbortControllers.delete(key);
-        }
+        reportError(`Reading record "${id}" for a query failed`, e);
       }
+      if (!loaded || seen.has(loaded.entry.key)) continue;
+      const key = loaded.entry.key;
+      seen.add(key);
+      const hot = jar.get(key); // loaded since the walk started — memory has the latest
+      const entry = hot ?? loaded.entry;
+      const now = Date.now();
+      if (query.matches(key, entry, now)) yield describeEntry(key, entry, now, !!hot);
+    }
+  }
+  // storage ids worth reading for a query, narrowed by an index where one
+  // applies. Obfuscated records keep their tags and fetcherId encrypted,
+  // so those can't be narrowed by them.
+  async function coldRecordIds(query) {
+    try {
+      if (query.tag !== undefined && !obfuscating()) return await storageKeysByIndex("tags", { equals: query.tag });
+      if (query.fetcherId !== undefined && !obfuscating())
+        return await storageKeysByIndex("fetcherId", { equals: query.fetcherId });
+      if (query.expired === true) return await storageKeysByIndex("expiry", { below: Date.now() + 1 });
+      return await storageKeysByIndex("expiry", {});
+    } catch (e) {
+      reportError("Listing stored records for a query failed", e);
+      return [];
     }
-    console.warn(`[BISCUIT] Refresh exhausted retries for ${key}`, lastErr);
-    reportError(`Background refresh exhausted retries for key "${key}"`, lastErr);
-    return false;
   }
 
-  function has(key) {
+  async function query(filter = {}) {
     ensureNotDestroyed();
-    const entry = jar.get(key);
-    return !!entry && Date.now() < entry.expiry;
+    const { limit = Infinity } = filter;
+    if (limit !== Infinity && !(Number.isInteger(limit) && limit > 0))
+      throw new Error(`query() limit must be a positive integer (got "${limit}")`);
+    const walk = walkEntries(compileQuery(filter, "query"));
+    const results = [];
+    for await (const item of walk) {
+      results.push(item);
+      if (results.length >= limit) break;
+    }
+    return results;
   }
 
-  // --- invalidation: force expiry now, so the next get() (or an active
-  // background/on-demand fetcher) picks up a fresh value
-  async function invalidate(key) {
+  // --- bulk operations: on a list of keys, or on what a query filter
+  // matches. Each returns the keys it acted on.
+  async function bulkTargets(target, method) {
+    if (Array.isArray(target)) return Array.from(new Set(target.map((k) => normalizeKey(k, method))));
+    if (target && typeof target === "object") return (await query(target)).map((item) => item.key);
+    throw new Error(`${method}() expects an array of keys or a query filter`);
+  }
+  async function removeMany(target) {
     ensureNotDestroyed();
-    log("Invalidate key:", key);
-    if (typeof key !== "string" || !key)
-      throw new Error("invalidate() expects a non-empty string key");
-    const entry = jar.get(key);
-    if (!entry) return false;
-
-    entry.expiry = Date.now() - 1;
-    await persist(key, entry.value, entry.expiry, entry.ttl, entry.fetcherId, entry.refreshPolicy);
-    broadcastChange(key, {
-      value: entry.value,
-      expiry: entry.expiry,
-      ttl: entry.ttl,
-      fetcherId: entry.fetcherId,
-      refreshPolicy: entry.refreshPolicy,
+    log("Remove many:", target);
+    const keys = await bulkTargets(target, "removeMany");
+    const removed = [];
+    await withBroadcastsHeld(() =>
+      withNotificationsHeld(async () => {
+        for (const key of keys) {
+          await ensureLoaded(key);
+          if (!jar.has(key)) continue;
+          await remove(key);
+          removed.push(key);
+        }
+      })
+    );
+    return removed;
+  }
+  async function invalidateMany(target) {
+    ensureNotDestroyed();
+    log("Invalidate many:", target);
+    const keys = await bulkTargets(target, "invalidateMany");
+    const invalidated = [];
+    await withBroadcastsHeld(() =>
+      withNotificationsHeld(async () => {
+        for (const key of keys) if (await invalidate(key)) invalidated.push(key);
+      })
+    );
+    return invalidated;
+  }
+  // one at a time, like dependency cascades — a big query result doesn't
+  // turn into a burst of parallel fetches. Other tabs get the new values
+  // in one message once they're all in.
+  async function refreshMany(target) {
+    ensureNotDestroyed();
+    log("Refresh many:", target);
+    const keys = await bulkTargets(target, "refreshMany");
+    const refreshed = [];
+    await withBroadcastsHeld(async () => {
+      for (const key of keys) {
+        if (destroyed) break;
+        const ok = await refresh(key).catch((e) => {
+          log("refreshMany error", key, e);
+          return false;
+        });
+        if (ok) refreshed.push(key);
+      }
     });
+    return refreshed;
+  }
 
-    // if a fetcher is attached, kick off a refresh right away rather than
-    // waiting for the next get() call to notice the expiry
-    if (refreshers.has(key)) {
-      refresh(key).catch((e) => log("invalidate refresh error", e));
-    }
-    notify();
-    return true;
+  // --- tags: group unrelated keys so they can be dropped together
+  function normalizeTags(tags) {
+    if (!Array.isArray(tags) || tags.some((t) => typeof t !== "string" || !t))
+      throw new Error("set() options.tags must be an array of non-empty strings");
+    return Array.from(new Set(tags));
+  }
+  function sameTags(a = [], b = []) {
+    return a.length === b.length && a.every((t) => b.includes(t));
   }
 
-  // --- pattern invalidation: '*' wildcard string, or a RegExp
-  async function invalidatePattern(pattern) {
+  function keysByTag(tag) {
     ensureNotDestroyed();
-    log("Invalidate pattern:", pattern);
-    let re;
-    if (pattern instanceof RegExp) re = pattern;
-    else if (typeof pattern === "string") {
-      const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
-      re = new RegExp(`^${escaped.replace(/\*/g, ".*")}$`);
-    } else {
-      throw new Error("invalidatePattern() expects a string or RegExp");
-    }
-    const matched = Array.from(jar.keys()).filter((k) => re.test(k));
+    if (typeof tag !== "string" || !tag)
+      throw new Error("keysByTag() expects a non-empty string tag");
+    const matched = [];
+    for (const [key, entry] of jar.entries())
+      if (entry.tags?.includes(tag)) matched.push(key);
+    return matched;
+  }
+  async function invalidateTag(tag) {
+    ensureNotDestroyed();
+    log("Invalidate tag:", tag);
+    if (typeof tag !== "string" || !tag)
+      throw new Error("invalidateTag() expects a non-empty string tag");
+    await dbReady;
+    const matched = keysByTag(tag);
     await Promise.all(matched.map((k) => invalidate(k)));
     return matched;
   }
+  async function removeTag(tag) {
+    ensureNotDestroyed();
+    log("Remove tag:", tag);
+    if (typeof tag !== "string" || !tag)
+      throw new Error("removeTag() expects a non-empty string tag");
+    await dbReady;
+    const matched = keysByTag(tag);
+    await Promise.all(matched.map((k) => remove(k)));
+    return matched;
+  }
 
   // --- batch operations
+  // Like set() for each item, but as one batch: nothing is applied if any
+  // item is invalid, the entries are persisted in one storage transaction,
+  // and other tabs and subscribers hear about them once. If a key appears
+  // twice, the last item wins.
   async function setMany(items) {
     ensureNotDestroyed();
     if (!Array.isArray(items))
       throw new Error("setMany() expects an array of { key, value, ttl?, fetcher?, options? }");
-    return Promise.all(
-      items.map((item) =>
-        set(item.key, item.value, item.ttl, item.fetcher, item.options)
-      )
-    );
+    log("Set many items. Count:", items.length);
+    await dbReady;
+    const batch = new Map(); // key -> { entry, fetcher }
+    await Promise.all(items.map(({ key }) => ensureLoaded(normalizeKey(key, "setMany"))));
+    for (const { key, value, ttl = 5 * 60 * 1000, fetcher = null, options } of items) {
+      const k = normalizeKey(key, "setMany");
+      batch.set(k, { entry: buildEntry(k, value, ttl, options), fetcher });
+    }
+    const entries = [];
+    for (const { entry, fetcher } of batch.values()) {
+      applyEntry(entry, fetcher);
+      entries.push(entry);
+    }
+    await persistMany(entries);
+    broadcastChanges(entries.map((entry) => ({ key: entry.key, entry: toBroadcastEntry(entry) })));
+    for (const entry of entries) scheduleRefresh(entry.key, entry.expiry);
+    await withNotificationsHeld(async () => {
+      await enforceLimits({ keep: new Set(batch.keys()) });
+      notify();
+    });
+    checkQuotaAndMaybePurge().catch((e) => log("quota check error", e));
+    return items.map(() => undefined); // what it resolved to as Promise.all() over set()
   }
   async function getMany(keys, options) {
     ensureNotDestroyed();
     if (!Array.isArray(keys))
-      throw new Error("getMany() expects an array of string keys");
+      throw new Error("getMany() expects an array of keys");
     const results = await Promise.all(keys.map((k) => get(k, options)));
     const out = {};
-    keys.forEach((k, i) => (out[k] = results[i]));
+    keys.forEach((k, i) => (out[hashKey(k)] = results[i]));
     return out;
   }
 
@@ -1129,12 +3137,12 @@ function createBiscuit({
 
   function waitFor(key, { timeout = null } = {}) {
     ensureNotDestroyed();
-    if (typeof key !== "string" || !key)
-      throw new Error("waitFor() expects a non-empty string key");
+    key = normalizeKey(key, "waitFor");
     const current = jar.get(key);
     if (current && Date.now() < current.expiry && current.value != null) {
       return Promise.resolve(current.value);
     }
+    ensureLoaded(key); // lazyLoad: it may be on disk — loading it notifies
     return new Promise((resolve, reject) => {
       let timer = null;
       const cleanup = () => pendingWaitForRejects.delete(rejectEntry);
@@ -1211,12 +3219,14 @@ function createBiscuit({
   function handleWentOnline() {
     log("Online handled");
     online = true;
+    drainOutbox().catch((e) => log("outbox drain error", e));
     for (const [key, entry] of jar.entries())
       scheduleRefresh(key, entry.expiry);
     // refresh near-expiry items
     for (const [key, fetcher] of refreshers.entries()) {
       const e = jar.get(key);
       if (!e) continue;
+      if (!isLeader && e.fetcherId) continue; // the leader's job
       const ttl = e.ttl || 5 * 60 * 1000;
       if (e.expiry - Date.now() <= ttl * 0.15)
         refresh(key).catch((err) => log("refresh error", err));
@@ -1233,26 +3243,233 @@ function createBiscuit({
   if (typeof window !== "undefined") {
     window.addEventListener("online", handleWentOnline);
     window.addEventListener("offline", handleWentOffline);
+    window.addEventListener("pagehide", resignLeadership);
+  }
+  // a hidden page may be frozen or discarded without unloading — store
+  // what's queued (write-behind, TTL extensions) while we still can
+  if (typeof document !== "undefined") document.addEventListener("visibilitychange", flushWhenHidden);
+
+  // --- offline outbox: writes that must reach the server, queued in their
+  // own store and replayed in order whenever we're online. Items are
+  // { key: id, type, payload, cacheKey, attempts, createdAt }; `type` picks
+  // the handler registered via registerOutboxHandler().
+  const outboxHandlers = new Map(); // type -> async (payload, info) => any
+  const fallbackOutbox = createMemoryStorage().outbox; // for adapters without an outbox
+  let outboxCounter = 0;
+  let draining = null; // in-flight drainOutbox() Promise
+
+  function outboxStore() {
+    return storage.outbox || fallbackOutbox;
+  }
+  async function outboxItems() {
+    const items = await trackStorage(Promise.resolve().then(() => outboxStore().getAll()));
+    // ids sort in enqueue order (see enqueue())
+    return items.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  }
+
+  function registerOutboxHandler(type, fn) {
+    ensureNotDestroyed();
+    log("Registering outbox handler", { type, fn });
+    if (!type || typeof fn !== "function")
+      throw new Error("registerOutboxHandler expects (type, function)");
+    outboxHandlers.set(type, fn);
+    drainOutbox().catch((e) => log("outbox drain error", e));
+  }
+
+  async function enqueue(type, payload, { key = null } = {}) {
+    ensureNotDestroyed();
+    log("Enqueue outbox item:", { type, payload, key });
+    if (typeof type !== "string" || !type)
+      throw new Error("enqueue() expects a non-empty string type");
+    await dbReady;
+    // timestamp first so ids from different tabs interleave in time order;
+    // the counter + random suffix keep them unique
+    const id = `${String(Date.now()).padStart(15, "0")}-${String(outboxCounter++).padStart(6, "0")}-${Math.random().toString(36).slice(2, 8)}`;
+    await trackStorage(
+      Promise.resolve().then(() =>
+        outboxStore().put({
+          key: id,
+          type,
+          payload,
+          cacheKey: key === null ? null : normalizeKey(key, "enqueue"),
+          attempts: 0,
+          createdAt: Date.now(),
+        })
+      )
+    );
+    drainOutbox().catch((e) => log("outbox drain error", e));
+    return id;
+  }
+
+  async function getOutbox() {
+    ensureNotDestroyed();
+    await dbReady;
+    return outboxItems();
+  }
+
+  async function flushOutbox() {
+    ensureNotDestroyed();
+    const sent = await drainOutbox();
+    return { sent, remaining: (await outboxItems()).length };
+  }
+
+  // Only one tab drains at a time (Web Locks, where supported — elsewhere
+  // each tab may try, and re-reading the store before every item keeps
+  // double-sends down to a narrow race). Items go strictly in order: one
+  // that keeps failing holds back the rest until the next attempt.
+  function drainOutbox() {
+    if (draining) return draining;
+    const locks = typeof navigator !== "undefined" ? navigator.locks : undefined;
+    const run = async () => {
+      await dbReady;
+      let sent = 0;
+      while (!destroyed && isOnline()) {
+        const [item] = await outboxItems();
+        if (!item) break;
+        const handler = outboxHandlers.get(item.type);
+        if (!handler) {
+          log(`No outbox handler registered for "${item.type}" — pausing the outbox`);
+          break;
+        }
+        const outcome = await sendOutboxItem(item, handler);
+        if (outcome === "failed") break;
+        await trackStorage(Promise.resolve().then(() => outboxStore().delete(item.key)));
+        if (outcome === "sent") sent++;
+      }
+      return sent;
+    };
+    draining = (
+      locks?.request
+        ? locks.request(OUTBOX_LOCK_NAME, { ifAvailable: true }, (lock) =>
+            lock ? run() : 0 // another tab is already draining
+          )
+        : run()
+    ).finally(() => {
+      draining = null;
+    });
+    return draining;
+  }
+
+  // "sent" | "dropped" | "failed" — retries with the same backoff as
+  // background refreshes; conflicts go to onOutboxConflict instead
+  async function sendOutboxItem(item, handler) {
+    let lastErr = null;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (attempt > 0) {
+        const delay = retryDelay(attempt);
+        log(`Outbox retry #${attempt} for ${item.key} after ${delay}ms`);
+        await sleep(delay);
+        if (destroyed || !isOnline()) return "failed";
+      }
+      item.attempts = (item.attempts || 0) + 1;
+      try {
+        await withTimeout(
+          Promise.resolve(
+            handler(item.payload, {
+              id: item.key,
+              type: item.type,
+              key: item.cacheKey,
+              attempt: item.attempts,
+            })
+          ),
+          fetchTimeout,
+          `Outbox handler for "${item.type}"`
+        );
+        return "sent";
+      } catch (e) {
+        lastErr = e;
+        if (!isOutboxConflict(e)) {
+          console.warn(`[BISCUIT] Outbox attempt ${attempt + 1}/${maxRetries + 1} failed for ${item.key}:`, e);
+          continue;
+        }
+        const resolution =
+          typeof onOutboxConflict === "function" ? await onOutboxConflict(item, e) : "drop";
+        log(`Outbox conflict for ${item.key} — resolution:`, resolution);
+        if (resolution === "drop") {
+          reportError(`Outbox item "${item.key}" (${item.type}) dropped after a conflict`, e);
+          return "dropped";
+        }
+        if (resolution && typeof resolution === "object" && "payload" in resolution)
+          item.payload = resolution.payload;
+        // "retry" (or a new payload) — goes round again, counting as an attempt
+      }
+    }
+    // keep the attempt count (and any rewritten payload) for next time
+    await trackStorage(Promise.resolve().then(() => outboxStore().put(item))).catch((e) =>
+      log("outbox item update failed", e)
+    );
+    reportError(`Outbox item "${item.key}" (${item.type}) exhausted retries — will retry when next online`, lastErr);
+    return "failed";
   }
 
   // --- Garbage collection: automatic, not user-called
-  // Removes entries that have been expired for >= expiredRetention
+  // Removes entries that have been expired for >= expiredRetention: first
+  // those in memory, then records left on disk (unreadable ones, and with
+  // lazyLoad, ones never loaded), found off the expiry index — so the disk
+  // side costs what's expired, not the size of the store.
   async function garbageCollectOnce() {
     log("Garbage collector collecting once!");
     const now = Date.now();
+    // stored entries turn up off the expiry index (collectStoredRecords()),
+    // so only the ones that never made it to storage are looked at here —
+    // unless the adapter has no indexes, then it's every entry in memory
     const toRemove = [];
-    for (const [key, entry] of jar.entries()) {
-      if (now >= entry.expiry + expiredRetention) toRemove.push(key);
+    for (const key of storageIndexed() ? unstoredKeys : jar.keys()) {
+      const entry = jar.get(key);
+      if (entry && now >= entry.expiry + expiredRetention) toRemove.push(key);
     }
-    if (toRemove.length === 0) return;
-    log("GC removing keys:", toRemove);
+    if (toRemove.length) log("GC removing keys:", toRemove);
     for (const k of toRemove) {
       try {
-        await remove(k);
+        await removeEntry(k);
       } catch (e) {
         log("GC remove failed", k, e);
       }
     }
+    if (lazyLoad || storageIndexed()) await collectStoredRecords(now); // without either, they're all in memory
+  }
+  async function collectStoredRecords(now) {
+    let ids;
+    try {
+      ids = await storageKeysByIndex("expiry", { below: now - expiredRetention });
+    } catch (e) {
+      return log("GC index lookup failed", e);
+    }
+    if (!ids.length) return;
+    // a plain record's id is its key. Obfuscated ids can only be matched by
+    // hashing every key in memory or demoted, so that's done only when one
+    // turns up.
+    const owners = new Map(); // storage id -> key
+    const hashed = ids.some((id) => typeof id === "string" && id.startsWith("~")) && obfuscating();
+    if (hashed)
+      for (const key of [...jar.keys(), ...demoted.keys()])
+        for (const id of await storageIdsFor(key)) owners.set(id, key);
+    let removed = false;
+    for (const id of ids) {
+      const key = hashed ? owners.get(id) : id;
+      const entry = key !== undefined ? jar.get(key) : undefined;
+      if (entry) {
+        // its expiry may have been extended since it was stored
+        if (now < entry.expiry + expiredRetention) continue;
+        log("GC removing key:", key);
+        try {
+          await removeEntry(key);
+          removed = true;
+        } catch (e) {
+          log("GC remove failed", key, e);
+        }
+        continue;
+      }
+      log("GC removing stored record:", id);
+      try {
+        await storageDelete(id);
+        if (key !== undefined) demoted.delete(key);
+        removed = true;
+      } catch (e) {
+        log("GC remove failed", id, e);
+      }
+    }
+    if (removed) await loadStoredFetcherIds();
   }
 
   // --- Garbage collection management
@@ -1292,9 +3509,13 @@ function createBiscuit({
     ensureNotDestroyed();
     log("Getting missing fetchers Id");
     const missing = new Set();
-    for (const [k, v] of jar.entries())
-      if (v.fetcherId && !fetcherRegistry.has(v.fetcherId))
-        missing.add(v.fetcherId);
+    for (const id of storedFetcherIds) if (!fetcherRegistry.has(id)) missing.add(id);
+    // the fetcherId index covers every plain record; without one, or when
+    // records are obfuscated (their fetcherId is encrypted), look in memory
+    if (!storageIndexed() || obfuscating())
+      for (const [k, v] of jar.entries())
+        if (v.fetcherId && !fetcherRegistry.has(v.fetcherId))
+          missing.add(v.fetcherId);
     return Array.from(missing);
   }
 
@@ -1313,6 +3534,14 @@ function createBiscuit({
         expired: entry.expiry !== null && entry.expiry <= now,
         fetcherId: entry.fetcherId || null,
         fetcherRegistered: refreshers.has(key),
+        tags: entry.tags || [],
+        dependsOn: entry.dependsOn || [],
+        priority: entry.priority ?? 0,
+        pinned: !!entry.pinned,
+        updatedAt: entry.updatedAt ?? null, // when the value was last set — null for records from before it was tracked
+        sizes: entrySizes(entry), // { original, stored } bytes — stored is 0 when not persisted
+        storedExpiry: entry.storedExpiry ?? null, // expiry as last stored — lags `expiry` between lazy TTL writes
+        encrypt: entry.encrypt ?? null,
       };
     }
 
@@ -1322,11 +3551,34 @@ function createBiscuit({
       refreshers: Array.from(refreshers.keys()),
       refreshTimers: Array.from(refreshTimers.keys()),
       generations: Object.fromEntries(refreshGenerations.entries()),
+      dependencies: dependencyGraph(),
       isOnline: isOnline(),
+      isLeader,
+      leaderElection: electionMode,
+      tabId: TAB_ID,
+      clock,
+      tombstones: tombstones.size,
+      outboxDraining: !!draining,
       destroyed,
       gcTimerActive: !!gcTimer,
       channelSupported,
       channelOpen: channelSupported && channel ? true : false,
+      schemaVersion,
+      bytes: { ...byteUsage(), maxBytes: byteBudget },
+      evictionPolicy: typeof evictionPolicy === "function" ? "custom" : evictionPolicy,
+      lazyLoad,
+      demoted: Array.from(demoted.keys()),
+      writeBehind: writeBehindConfig,
+      pendingWrites: Array.from(pendingWrites.keys()),
+      pendingExtensions: Array.from(pendingExtensions.keys()),
+      encryption: useEncryption
+        ? {
+            keyVersion: writeKeyVersion,
+            keyVersions: Array.from(keyring.keys()),
+            rotation,
+            unreadable: encryptionReport.unreadable.slice(),
+          }
+        : null,
     };
   }
 
@@ -1347,13 +3599,29 @@ function createBiscuit({
       }
     });
     activeAbortControllers.clear();
+    for (const key of Array.from(pageAbortControllers.keys())) abortPageLoads(key, new Error("Biscuit instance was destroyed"));
+
+    resignLeadership();
+    if (heartbeatTimer) clearInterval(heartbeatTimer);
+    handoffs.forEach(({ timer }) => clearTimeout(timer));
+    handoffs.clear();
+    if (releaseLeaderLock) releaseLeaderLock();
+    if (leaderLockAbort) leaderLockAbort.abort();
 
     if (channelSupported && channel) channel.close();
 
+    dbReady
+      .then(() => Promise.all([flushWrites(), flushExtensions()]))
+      .then(() => settleStorage()) // e.g. init's un-awaited rewrites, fire-and-forget persists
+      .then(() => storage.close?.())
+      .catch((e) => log("storage close failed", e));
+
     if (typeof window !== "undefined") {
       window.removeEventListener("online", handleWentOnline);
       window.removeEventListener("offline", handleWentOffline);
+      window.removeEventListener("pagehide", resignLeadership);
     }
+    if (typeof document !== "undefined") document.removeEventListener("visibilitychange", flushWhenHidden);
 
     destroyed = true;
     log("Destroyed! Restart by making another Biscuit instance.");
@@ -1371,6 +3639,8 @@ function createBiscuit({
     ready,
     set,
     get,
+    getOrFetch,
+    paginated,
     mutate,
     remove,
     clear,
@@ -1379,8 +3649,17 @@ function createBiscuit({
     refresh,
     invalidate,
     invalidatePattern,
+    query,
+    entries,
+    removeMany,
+    invalidateMany,
+    refreshMany,
+    invalidateTag,
+    removeTag,
+    keysByTag,
     setMany,
     getMany,
+    flush,
     waitFor,
     estimateUsage,
     has,
@@ -1389,22 +3668,516 @@ function createBiscuit({
     enableDebug,
     disableDebug,
     isOnline,
+    isLeader: isLeaderTab,
     registerFetcher,
     getMissingFetcherIds,
+    getMigrationReport,
+    rotateSecret,
+    enqueue,
+    registerOutboxHandler,
+    getOutbox,
+    flushOutbox,
     inspect,
     destroy,
     // internals for dev/testing (not necessary for normal use)
     __internal: {
       accessTimestamps,
+      accessCounts,
       refreshers,
       refreshTimers,
       fetcherRegistry,
       pendingRefreshes,
+      pendingLoads,
+    },
+  };
+}
+
+// --- structured keys
+// Strings are used as-is. Arrays and plain objects are serialized as JSON
+// with object properties sorted, so ["user", { a: 1, b: 2 }] and
+// ["user", { b: 2, a: 1 }] hash to the same key. (A string key that
+// happens to equal such a serialization refers to the same entry.)
+function hashKey(key) {
+  if (typeof key === "string") return key;
+  return JSON.stringify(canonicalKeyPart(key));
+}
+function canonicalKeyPart(part) {
+  if (Array.isArray(part)) return part.map(canonicalKeyPart);
+  if (isPlainObject(part)) {
+    const sorted = {};
+    for (const k of Object.keys(part).sort()) sorted[k] = canonicalKeyPart(part[k]);
+    return sorted;
+  }
+  if (typeof part === "function" || typeof part === "symbol" || typeof part === "bigint")
+    throw new Error(`Unsupported value in structured key: ${String(part)}`);
+  return part;
+}
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+// --- storage adapters
+// Everything Biscuit persists goes through one of these. An adapter is a
+// plain object — { open?, get, getAll, put, putMany?, delete, clear, close? }
+// — whose methods may be sync or return Promises. `putMany(records)` writes
+// a batch at once (see setMany()); without it, records are put one by one. Records are plain objects keyed
+// by their `key` field (see persist()); adapters store them as-is and must
+// not interpret any other field.
+//
+// Adapters may also answer index lookups over the fields GC and queries
+// filter on (RECORD_INDEXES), so those don't need a getAll() scan:
+// `keysByIndex(index, { equals?, below? })` returns the keys of matching
+// records (`below` is exclusive), and `indexValues(index)` the distinct
+// values indexed. Without them, Biscuit scans getAll() instead.
+//
+// An adapter may also carry an `outbox` — a second { get, getAll, put,
+// delete, clear } store of the same kind, holding queued offline mutations
+// (see enqueue()). Adapters without one get an in-memory outbox.
+
+// Record fields that can be looked up without reading every record.
+// Obfuscated records (obfuscateKeys) keep only `expiry` in the clear, so
+// they're missing from the other two.
+const RECORD_INDEXES = {
+  expiry: {},
+  fetcherId: {},
+  tags: { multiEntry: true },
+};
+// keysByIndex() semantics, for adapters that don't implement it
+function indexedValues(record, index) {
+  const value = record?.[index];
+  if (RECORD_INDEXES[index]?.multiEntry) return Array.isArray(value) ? value : [];
+  return value == null ? [] : [value];
+}
+function matchesIndex(record, index, { equals, below } = {}) {
+  return indexedValues(record, index).some((v) =>
+    equals !== undefined ? v === equals : below !== undefined ? v < below : true
+  );
+}
+
+// Default adapter: one IndexedDB database per namespace, holding the
+// entries' object store and the outbox's.
+function createIndexedDBStorage({
+  dbName = "biscuit-store",
+  storeName = "biscuit-jar",
+  outboxStoreName = "biscuit-outbox",
+  blockedTimeout = 5000, // ms to wait on tabs holding an older version open before open() gives up
+} = {}) {
+  let db = null;
+  let opening = null; // in-flight open(), shared
+  let closed = false;
+
+  // a transaction on the current connection — reopened first if another
+  // tab's upgrade made us close it (see onversionchange below)
+  async function transaction(name, mode) {
+    if (closed) throw new Error(`IndexedDB storage "${dbName}" is closed`);
+    if (!db) await open();
+    return db.transaction(name, mode);
+  }
+  function request(name, mode, run) {
+    return transaction(name, mode).then(
+      (tx) =>
+        new Promise((resolve, reject) => {
+          const req = run(tx.objectStore(name));
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => reject(req.error);
+        })
+    );
+  }
+  // all puts in one transaction — all of them land, or none do
+  function putAll(name, records) {
+    return transaction(name, "readwrite").then(
+      (tx) =>
+        new Promise((resolve, reject) => {
+          const store = tx.objectStore(name);
+          for (const record of records) store.put(record);
+          tx.oncomplete = () => resolve();
+          tx.onabort = () => reject(tx.error || new Error("IDB transaction aborted"));
+        })
+    );
+  }
+  // walks an index of the entries store with a key cursor — values are
+  // never loaded. `pick` reads what to collect off each cursor position.
+  function walkIndex(index, range, direction, pick) {
+    return transaction(storeName, "readonly").then(
+      (tx) =>
+        new Promise((resolve, reject) => {
+          const req = tx.objectStore(storeName).index(index).openKeyCursor(range, direction);
+          const found = [];
+          req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) return resolve(found);
+            found.push(pick(cursor));
+            cursor.continue();
+          };
+          req.onerror = () => reject(req.error);
+        })
+    );
+  }
+  function objectStore(name) {
+    return {
+      get: (key) => request(name, "readonly", (store) => store.get(key)),
+      getAll: () => request(name, "readonly", (store) => store.getAll()),
+      put: (record) => request(name, "readwrite", (store) => store.put(record)),
+      putMany: (records) => putAll(name, records),
+      delete: (key) => request(name, "readwrite", (store) => store.delete(key)).then(() => {}),
+      clear: () => request(name, "readwrite", (store) => store.clear()).then(() => {}),
+    };
+  }
+
+  function open() {
+    if (db) return Promise.resolve();
+    if (!opening) opening = connect().finally(() => (opening = null));
+    return opening;
+  }
+  function connect() {
+    return new Promise((resolve, reject) => {
+      // v1: entries store. v2: + outbox store. v3: + RECORD_INDEXES on
+      // the entries store.
+      const req = indexedDB.open(dbName, 3);
+      req.onupgradeneeded = (e) => {
+        const _db = e.target.result;
+        const entries = _db.objectStoreNames.contains(storeName)
+          ? e.target.transaction.objectStore(storeName)
+          : _db.createObjectStore(storeName, { keyPath: "key" });
+        // records already stored get indexed as part of the upgrade
+        for (const [index, options] of Object.entries(RECORD_INDEXES))
+          if (!entries.indexNames.contains(index)) entries.createIndex(index, index, options);
+        if (!_db.objectStoreNames.contains(outboxStoreName))
+          _db.createObjectStore(outboxStoreName, { keyPath: "key" });
+      };
+      let settled = false;
+      let blockedTimer = null;
+      // a tab still running an older version holds the database open, and
+      // older versions never let go of it — give up rather than hang
+      // ready(), so Biscuit falls back to memory-only (see init())
+      req.onblocked = () => {
+        if (blockedTimer) return;
+        blockedTimer = setTimeout(() => {
+          settled = true;
+          reject(
+            new Error(
+              `IndexedDB upgrade blocked for ${blockedTimeout}ms by another tab using an older version of "${dbName}"`
+            )
+          );
+        }, blockedTimeout);
+      };
+      req.onsuccess = (e) => {
+        clearTimeout(blockedTimer);
+        if (settled) return e.target.result.close(); // unblocked after we gave up
+        settled = true;
+        const conn = e.target.result;
+        // let a newer version upgrade (or a deleteDatabase()) go ahead
+        // instead of blocking it in turn — the next operation reopens, and
+        // fails if this version has been superseded
+        conn.onversionchange = () => {
+          conn.close();
+          if (db === conn) db = null;
+        };
+        db = conn;
+        resolve();
+      };
+      req.onerror = (e) => {
+        clearTimeout(blockedTimer);
+        settled = true;
+        reject(e.target?.error || new Error("IDB open failed"));
+      };
+    });
+  }
+
+  return {
+    name: "indexedDB",
+    open,
+    ...objectStore(storeName),
+    keysByIndex(index, { equals, below } = {}) {
+      const range =
+        equals !== undefined ? IDBKeyRange.only(equals) : below !== undefined ? IDBKeyRange.upperBound(below, true) : null;
+      return walkIndex(index, range, "next", (cursor) => cursor.primaryKey);
+    },
+    indexValues: (index) => walkIndex(index, null, "nextunique", (cursor) => cursor.key),
+    outbox: objectStore(outboxStoreName),
+    close() {
+      closed = true;
+      if (db) db.close();
+      db = null;
+    },
+  };
+}
+
+// Records serialized as JSON under `${prefix}:${key}` (the outbox under
+// `${prefix}-outbox:${key}`). For environments where IndexedDB is blocked
+// but Web Storage isn't. Note the ~5MB quota, and that values must survive
+// JSON (Dates come back as strings, etc).
+function createLocalStorageStorage({ prefix = "biscuit-store" } = {}) {
+  return {
+    name: "localStorage",
+    open() {
+      if (typeof localStorage === "undefined")
+        throw new Error("localStorage is unavailable in this environment");
+    },
+    ...localStorageRecords(`${prefix}:`),
+    outbox: localStorageRecords(`${prefix}-outbox:`),
+  };
+}
+function localStorageRecords(keyPrefix) {
+  function ownKeys() {
+    const result = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const k = localStorage.key(i);
+      if (k && k.startsWith(keyPrefix)) result.push(k);
+    }
+    return result;
+  }
+  return {
+    get(key) {
+      const raw = localStorage.getItem(keyPrefix + key);
+      return raw === null ? undefined : JSON.parse(raw);
+    },
+    getAll() {
+      const records = [];
+      for (const k of ownKeys()) {
+        try {
+          records.push(JSON.parse(localStorage.getItem(k)));
+        } catch (_) {
+          /* skip corrupted record */
+        }
+      }
+      return records;
+    },
+    put(record) {
+      localStorage.setItem(keyPrefix + record.key, JSON.stringify(record));
+    },
+    putMany(records) {
+      for (const record of records) localStorage.setItem(keyPrefix + record.key, JSON.stringify(record));
+    },
+    delete(key) {
+      localStorage.removeItem(keyPrefix + key);
+    },
+    clear() {
+      ownKeys().forEach((k) => localStorage.removeItem(k));
+    },
+  };
+}
+
+// Nothing survives a reload — the fallback when nothing else is usable,
+// and handy for tests.
+function createMemoryStorage() {
+  return { name: "memory", shared: false, ...memoryRecords(), outbox: memoryRecords() };
+}
+function memoryRecords() {
+  const records = new Map();
+  return {
+    get: (key) => records.get(key),
+    getAll: () => Array.from(records.values()),
+    put(record) {
+      records.set(record.key, record);
+    },
+    putMany(list) {
+      for (const record of list) records.set(record.key, record);
+    },
+    delete(key) {
+      records.delete(key);
+    },
+    clear() {
+      records.clear();
     },
   };
 }
 
+// --- richSerializer: JSON that round-trips what plain JSON loses — Date,
+// Map, Set, BigInt, ArrayBuffer / typed arrays / DataView, undefined,
+// NaN and ±Infinity. Those become tagged objects ({ $biscuit: type, v });
+// plain objects that happen to carry a `$biscuit` field are tagged too, so
+// they can't be mistaken for one.
+const SERIAL_TAG = "$biscuit";
+const BINARY_TYPES = [
+  "Int8Array",
+  "Uint8Array",
+  "Uint8ClampedArray",
+  "Int16Array",
+  "Uint16Array",
+  "Int32Array",
+  "Uint32Array",
+  "Float32Array",
+  "Float64Array",
+  "BigInt64Array",
+  "BigUint64Array",
+  "DataView",
+];
+
+const richSerializer = {
+  encode: (value) => JSON.stringify(toTagged(value)),
+  decode: (text) => fromTagged(JSON.parse(text)),
+};
+
+function toTagged(value) {
+  if (value === undefined) return { [SERIAL_TAG]: "undefined" };
+  if (typeof value === "bigint") return { [SERIAL_TAG]: "BigInt", v: value.toString() };
+  if (typeof value === "number" && !Number.isFinite(value))
+    return { [SERIAL_TAG]: "Number", v: String(value) };
+  if (value === null || typeof value !== "object") return value;
+  if (value instanceof Date)
+    return { [SERIAL_TAG]: "Date", v: isNaN(value.getTime()) ? null : value.toISOString() };
+  if (value instanceof Map)
+    return { [SERIAL_TAG]: "Map", v: Array.from(value, ([k, v]) => [toTagged(k), toTagged(v)]) };
+  if (value instanceof Set) return { [SERIAL_TAG]: "Set", v: Array.from(value, toTagged) };
+  if (value instanceof ArrayBuffer)
+    return { [SERIAL_TAG]: "ArrayBuffer", v: bytesToBase64(new Uint8Array(value)) };
+  if (ArrayBuffer.isView(value)) {
+    const type = BINARY_TYPES.find((t) => globalThis[t] && value instanceof globalThis[t]);
+    if (!type) throw new TypeError(`richSerializer can't encode ${value.constructor?.name}`);
+    const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    return { [SERIAL_TAG]: type, v: bytesToBase64(bytes) };
+  }
+  if (Array.isArray(value)) return value.map(toTagged);
+  if (typeof value.toJSON === "function") return toTagged(value.toJSON());
+  const out = {};
+  for (const k of Object.keys(value)) out[k] = toTagged(value[k]);
+  return SERIAL_TAG in value ? { [SERIAL_TAG]: "Object", v: out } : out;
+}
+
+function fromTagged(value) {
+  if (value === null || typeof value !== "object") return value;
+  if (Array.isArray(value)) return value.map(fromTagged);
+  const type = value[SERIAL_TAG];
+  if (typeof type !== "string") return untagEntries(value);
+  const v = value.v;
+  switch (type) {
+    case "undefined":
+      return undefined;
+    case "BigInt":
+      return BigInt(v);
+    case "Number":
+      return Number(v);
+    case "Date":
+      return new Date(v === null ? NaN : v);
+    case "Map":
+      return new Map(v.map(([k, val]) => [fromTagged(k), fromTagged(val)]));
+    case "Set":
+      return new Set(v.map(fromTagged));
+    case "ArrayBuffer":
+      return base64ToBytes(v).buffer;
+    case "Object":
+      return untagEntries(v);
+  }
+  if (BINARY_TYPES.includes(type) && globalThis[type]) return new globalThis[type](base64ToBytes(v).buffer);
+  throw new TypeError(`richSerializer can't decode unknown type "${type}"`);
+}
+
+// Object.fromEntries, not assignment — a "__proto__" key stays a plain field
+function untagEntries(obj) {
+  return Object.fromEntries(Object.keys(obj).map((k) => [k, fromTagged(obj[k])]));
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
+function base64ToBytes(b64) {
+  const binary = atob(b64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// --- compression: CompressionStream where available (every current
+// browser, Node 18+), otherwise a small LZW over 16-bit codes. Not as tight
+// as gzip, but dependency-free and plenty for repetitive JSON.
+const compressionStreamSupported =
+  typeof CompressionStream === "function" && typeof DecompressionStream === "function";
+
+async function compressBytes(bytes, format) {
+  if (format === "lzw") return lzwCompress(bytes);
+  return pipeBytes(bytes, new CompressionStream(format));
+}
+async function decompressBytes(bytes, format) {
+  if (format === "lzw") return lzwDecompress(bytes);
+  if (!compressionStreamSupported)
+    throw new Error(`Can't decompress a "${format}" record — DecompressionStream is unavailable`);
+  return pipeBytes(bytes, new DecompressionStream(format));
+}
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+const LZW_MAX_CODES = 65536;
+
+function lzwCompress(bytes) {
+  const dict = new Map(); // prefixCode * 256 + byte -> code
+  const codes = [];
+  let next = 256;
+  let w = -1;
+  for (const b of bytes) {
+    if (w < 0) {
+      w = b;
+      continue;
+    }
+    const code = dict.get(w * 256 + b);
+    if (code !== undefined) {
+      w = code;
+      continue;
+    }
+    codes.push(w);
+    if (next < LZW_MAX_CODES) dict.set(w * 256 + b, next++); // full dictionary: keep using it as-is
+    w = b;
+  }
+  if (w >= 0) codes.push(w);
+  const out = new Uint8Array(codes.length * 2);
+  const view = new DataView(out.buffer);
+  codes.forEach((code, i) => view.setUint16(i * 2, code, true));
+  return out;
+}
+
+function lzwDecompress(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  // each code is a (prefix code, last byte) pair; single bytes have no prefix
+  const prefix = new Int32Array(LZW_MAX_CODES).fill(-1);
+  const suffix = new Uint8Array(LZW_MAX_CODES);
+  const first = new Uint8Array(LZW_MAX_CODES);
+  const length = new Uint32Array(LZW_MAX_CODES);
+  for (let i = 0; i < 256; i++) {
+    suffix[i] = first[i] = i;
+    length[i] = 1;
+  }
+  let out = new Uint8Array(Math.max(16, bytes.byteLength * 2));
+  let size = 0;
+  let next = 256;
+  let prev = -1;
+  for (let i = 0; i + 1 < bytes.byteLength; i += 2) {
+    const code = view.getUint16(i, true);
+    if (code > next || (code === next && prev < 0)) throw new Error("Corrupted LZW data");
+    if (prev >= 0 && next < LZW_MAX_CODES) {
+      // the encoder added prev + first byte of this code (which may be the new code itself)
+      prefix[next] = prev;
+      suffix[next] = code < next ? first[code] : first[prev];
+      first[next] = first[prev];
+      length[next] = length[prev] + 1;
+      next++;
+    }
+    const n = length[code];
+    while (size + n > out.length) {
+      const grown = new Uint8Array(out.length * 2);
+      grown.set(out);
+      out = grown;
+    }
+    for (let c = code, j = size + n - 1; c >= 0; c = prefix[c], j--) out[j] = suffix[c];
+    size += n;
+    prev = code;
+  }
+  return out.slice(0, size);
+}
+
 // default convenience instance (namespace "")
 const Biscuit = createBiscuit();
 export default Biscuit;
-export { createBiscuit };
+export {
+  createBiscuit,
+  hashKey,
+  richSerializer,
+  createIndexedDBStorage,
+  createLocalStorageStorage,
+  createMemoryStorage,
+};
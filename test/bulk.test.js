@@ -0,0 +1,76 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import Biscuit, { createBiscuit } from "../src/biscuit.js";
+
+after(() => Biscuit.destroy());
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+async function until(condition) {
+  while (!condition()) await new Promise((resolve) => setTimeout(resolve, 5));
+}
+
+// a biscuit, a second "tab" on the same namespace, and the change messages
+// the first one broadcasts
+async function setup(t, namespace, count, { withFetchers = false } = {}) {
+  const cache = createBiscuit({ namespace, storage: "memory" });
+  const other = createBiscuit({ namespace, storage: "memory" });
+  const channel = new BroadcastChannel(`biscuit-${namespace}`);
+  const messages = [];
+  channel.onmessage = (e) => !e.data?.type && messages.push(e.data);
+  t.after(() => {
+    channel.close();
+    cache.destroy();
+    other.destroy();
+  });
+  await Promise.all([cache.ready(), other.ready()]);
+  const keys = Array.from({ length: count }, (_, i) => `k${i}`);
+  await cache.setMany(keys.map((key, i) => ({ key, value: i, fetcher: withFetchers ? async () => i * 10 : null })));
+  await until(() => other.size() === count);
+  messages.length = 0;
+  return { cache, other, messages, keys };
+}
+
+test("removeMany() sends other tabs one message", async (t) => {
+  const { cache, other, messages, keys } = await setup(t, "bulk-remove", 111);
+  assert.equal(other.size(), 111);
+  let notified = 0;
+  other.subscribe(() => notified++);
+  notified = 0; // subscribe() calls back right away
+  assert.equal((await cache.removeMany(keys)).length, 111);
+  await settle();
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].batch.length, 111);
+  assert.equal(other.size(), 0);
+  assert.equal(notified, 1);
+});
+
+test("invalidateMany() sends other tabs one message", async (t) => {
+  const { cache, other, messages, keys } = await setup(t, "bulk-invalidate", 20);
+  await cache.invalidateMany(keys);
+  await settle();
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].batch.length, 20);
+  assert.ok(keys.every((key) => !other.has(key)));
+});
+
+test("refreshMany() sends other tabs one message", async (t) => {
+  const { cache, other, messages, keys } = await setup(t, "bulk-refresh", 20, { withFetchers: true });
+  assert.deepEqual(await cache.refreshMany(keys), keys);
+  await settle();
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].batch.length, 20);
+  assert.equal(await other.get("k3"), 30);
+});
+
+test("setMany() still resolves with one result per item", async (t) => {
+  const cache = createBiscuit({ namespace: "bulk-set", storage: "memory" });
+  t.after(() => cache.destroy());
+  await cache.ready();
+  const results = await cache.setMany([
+    { key: "a", value: 1 },
+    { key: "b", value: 2 },
+    { key: "a", value: 3 },
+  ]);
+  assert.deepEqual(results, [undefined, undefined, undefined]);
+  assert.equal(await cache.get("a"), 3);
+});
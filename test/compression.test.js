@@ -0,0 +1,46 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import Biscuit, { createBiscuit, createMemoryStorage } from "../src/biscuit.js";
+
+after(() => Biscuit.destroy());
+
+const badFormat = /compression\.format must be "gzip", "deflate" or "lzw" \(got "brotli"\)/;
+// creates an instance with an unknown format — and cleans up if that works
+const withBadFormat = (create) => () => create({ storage: "memory", compression: { format: "brotli" } }).destroy();
+
+test("an unknown compression format is rejected", () => {
+  assert.throws(withBadFormat(createBiscuit), badFormat);
+});
+
+test("an unknown compression format is rejected without CompressionStream too", async (t) => {
+  const { CompressionStream } = globalThis;
+  delete globalThis.CompressionStream; // checked when the module loads
+  t.after(() => (globalThis.CompressionStream = CompressionStream));
+  const module = await import("../src/biscuit.js?without-compression-streams");
+  t.after(() => module.default.destroy());
+  assert.throws(withBadFormat(module.createBiscuit), badFormat);
+  const storage = module.createMemoryStorage();
+  const cache = module.createBiscuit({ storage, compression: { threshold: 10, format: "deflate" } });
+  t.after(() => cache.destroy());
+  await cache.ready();
+  await cache.set("doc", "abcabcabc".repeat(50));
+  const [record] = (await storage.getAll()).filter((r) => r.key === "doc");
+  assert.equal(record.compressed, "lzw"); // deflate falls back to LZW
+});
+
+test('format: "lzw" round-trips through storage', async (t) => {
+  const storage = createMemoryStorage();
+  const options = { namespace: "lzw", storage, compression: { threshold: 10, format: "lzw" } };
+  const first = createBiscuit(options);
+  await first.ready();
+  const value = { text: "abcabcabc".repeat(50) };
+  await first.set("doc", value, 60_000);
+  first.destroy();
+  const [record] = (await storage.getAll()).filter((r) => r.key === "doc");
+  assert.equal(record.compressed, "lzw");
+
+  const second = createBiscuit(options);
+  t.after(() => second.destroy());
+  await second.ready();
+  assert.deepEqual(await second.get("doc"), value);
+});
@@ -0,0 +1,64 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import Biscuit, { createBiscuit, createMemoryStorage } from "../src/biscuit.js";
+
+after(() => Biscuit.destroy());
+
+// createBiscuit() checks for WebCrypto when it's called
+function withoutWebCrypto(t) {
+  const original = Object.getOwnPropertyDescriptor(globalThis, "crypto");
+  Object.defineProperty(globalThis, "crypto", { value: undefined, configurable: true });
+  t.after(() => Object.defineProperty(globalThis, "crypto", original));
+}
+async function storedRecords(storage) {
+  return (await storage.getAll()).filter((record) => record.key !== "__meta__");
+}
+
+test("encrypt: true never stores plaintext when WebCrypto is missing", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "error", () => {});
+  withoutWebCrypto(t);
+  const storage = createMemoryStorage();
+  const errors = [];
+  const cache = createBiscuit({
+    namespace: "enc-no-crypto",
+    storage,
+    secret: "pw",
+    onError: (error, context) => errors.push(context),
+  });
+  t.after(() => cache.destroy());
+  await cache.ready();
+  await cache.set("token", "SECRET-TOKEN", 60_000, null, { encrypt: true });
+  await cache.set("catalog", "public", 60_000);
+
+  assert.equal(await cache.get("token"), "SECRET-TOKEN"); // still served from memory
+  const records = await storedRecords(storage);
+  assert.deepEqual(records.map((record) => record.key), ["catalog"]); // best-effort keys still persist
+  assert.ok(!JSON.stringify(records).includes("SECRET-TOKEN"));
+  assert.ok(errors.some((context) => context.includes('Refusing to persist key "token"')));
+});
+
+test("encrypt: true never stores plaintext when encrypting fails", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "error", () => {});
+  const storage = createMemoryStorage();
+  const errors = [];
+  const cache = createBiscuit({
+    namespace: "enc-fails",
+    storage,
+    secret: "pw",
+    onError: (error, context) => errors.push(context),
+  });
+  t.after(() => cache.destroy());
+  await cache.ready();
+  await cache.set("token", "OLD-TOKEN", 60_000, null, { encrypt: true });
+  assert.equal((await storedRecords(storage))[0].encrypted, true);
+
+  t.mock.method(crypto.subtle, "encrypt", async () => {
+    throw new Error("encrypt failed");
+  });
+  await cache.set("token", "SECRET-TOKEN", 60_000, null, { encrypt: true });
+  const records = await storedRecords(storage);
+  assert.equal(records.length, 0); // the older copy is gone too
+  assert.ok(errors.some((context) => context.includes('Refusing to persist key "token"')));
+});
@@ -0,0 +1,107 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import Biscuit, { createBiscuit } from "../src/biscuit.js";
+
+after(() => Biscuit.destroy()); // the default instance holds a BroadcastChannel open
+
+const policies = ["lru", "lfu", "soonest-expiry", (a, b) => a.lastAccess - b.lastAccess];
+
+for (const evictionPolicy of policies) {
+  const name = typeof evictionPolicy === "function" ? "custom" : evictionPolicy;
+
+  test(`${name}: set() never evicts the key it just wrote`, async (t) => {
+    const cache = createBiscuit({ namespace: `evict-${name}`, storage: "memory", maxSize: 2, evictionPolicy });
+    t.after(() => cache.destroy());
+    await cache.ready();
+    await cache.set("a", 1, 60_000);
+    await cache.set("b", 2, 120_000);
+    await cache.get("a");
+    await cache.get("b");
+    await cache.set("new", 3, 1_000);
+    assert.equal(await cache.get("new"), 3);
+    assert.equal(cache.size(), 2);
+  });
+
+  test(`${name}: setMany() never evicts the keys it just wrote`, async (t) => {
+    const cache = createBiscuit({ namespace: `evict-many-${name}`, storage: "memory", maxSize: 3, evictionPolicy });
+    t.after(() => cache.destroy());
+    await cache.ready();
+    await cache.set("a", 1, 60_000);
+    await cache.set("b", 2, 120_000);
+    await cache.get("a");
+    await cache.get("b");
+    await cache.setMany([
+      { key: "x", value: 10, ttl: 1_000 },
+      { key: "y", value: 11, ttl: 1_000 },
+    ]);
+    assert.equal(await cache.get("x"), 10);
+    assert.equal(await cache.get("y"), 11);
+    assert.equal(cache.size(), 3);
+  });
+}
+
+test("lfu evicts the least used key", async (t) => {
+  const cache = createBiscuit({ namespace: "evict-lfu-order", storage: "memory", maxSize: 2, evictionPolicy: "lfu" });
+  t.after(() => cache.destroy());
+  await cache.ready();
+  await cache.set("hot", 1);
+  await cache.set("cold", 2);
+  for (let i = 0; i < 3; i++) await cache.get("hot");
+  await cache.set("new", 3);
+  assert.deepEqual(cache.keys().sort(), ["hot", "new"]);
+});
+
+test("soonest-expiry evicts the key closest to expiring", async (t) => {
+  const cache = createBiscuit({
+    namespace: "evict-expiry-order",
+    storage: "memory",
+    maxSize: 2,
+    evictionPolicy: "soonest-expiry",
+  });
+  t.after(() => cache.destroy());
+  await cache.ready();
+  await cache.set("short", 1, 5_000);
+  await cache.set("long", 2, 60_000);
+  await cache.set("new", 3, 30_000);
+  assert.deepEqual(cache.keys().sort(), ["long", "new"]);
+});
+
+test("pinned keys are never evicted", async (t) => {
+  const cache = createBiscuit({ namespace: "evict-pinned", storage: "memory", maxSize: 2 });
+  t.after(() => cache.destroy());
+  await cache.ready();
+  await cache.set("pinned", 1, 60_000, null, { pinned: true });
+  await cache.set("a", 2);
+  await cache.set("b", 3);
+  assert.deepEqual(cache.keys().sort(), ["b", "pinned"]);
+});
+
+test("an entry bigger than the memory budget on its own is evicted first", async (t) => {
+  const cache = createBiscuit({ namespace: "evict-oversized", storage: "memory", maxBytes: { memory: 100 } });
+  t.after(() => cache.destroy());
+  await cache.ready();
+  await cache.set("small", "x");
+  await cache.set("huge", "x".repeat(500));
+  assert.deepEqual(cache.keys(), ["small"]);
+});
+
+test("the persistent budget only evicts entries that are stored", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const encrypt = t.mock.method(crypto.subtle, "encrypt");
+  const cache = createBiscuit({
+    namespace: "evict-persistent",
+    storage: "memory",
+    secret: "pw",
+    maxBytes: { persistent: 150 },
+  });
+  t.after(() => cache.destroy());
+  await cache.ready();
+  encrypt.mock.mockImplementationOnce(async () => {
+    throw new Error("encrypt failed");
+  });
+  await cache.set("memory-only", "x", 60_000, null, { encrypt: true }); // refused storage: 0 bytes stored
+  await cache.set("a", "y".repeat(40));
+  await cache.set("b", "z".repeat(40));
+  assert.equal(cache.inspect().entries["memory-only"].sizes.stored, 0);
+  assert.deepEqual(cache.keys().sort(), ["b", "memory-only"]);
+});
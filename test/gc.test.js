@@ -0,0 +1,83 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import Biscuit, { createBiscuit, createMemoryStorage } from "../src/biscuit.js";
+
+after(() => Biscuit.destroy());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// a memory store that answers index lookups itself, and counts full scans
+function indexedStorage() {
+  const inner = createMemoryStorage();
+  const storage = {
+    ...inner,
+    scans: 0,
+    getAll() {
+      storage.scans++;
+      return inner.getAll();
+    },
+    keysByIndex(index, { equals, below } = {}) {
+      return inner
+        .getAll()
+        .filter((record) => (equals !== undefined ? record[index] === equals : record[index] < below))
+        .map((record) => record.key);
+    },
+    indexValues: (index) => [...new Set(inner.getAll().map((record) => record[index]).filter((v) => v != null))],
+  };
+  return storage;
+}
+
+test("GC finds expired records off the expiry index, loaded or not", async (t) => {
+  const storage = indexedStorage();
+  const cache = createBiscuit({ namespace: "gc-index", storage, gcInterval: 20, expiredRetention: 0 });
+  t.after(() => cache.destroy());
+  await cache.ready();
+  const scans = storage.scans;
+  await cache.set("short", 1, 10);
+  await cache.set("long", 2, 60_000);
+  storage.put({ key: "stray", value: "3", serialized: true, expiry: Date.now() - 1 }); // e.g. another tab's
+  await sleep(100);
+  assert.deepEqual(cache.keys(), ["long"]);
+  assert.deepEqual(storage.keysByIndex("expiry", { below: Infinity }), ["long"]);
+  assert.equal(storage.scans, scans);
+});
+
+test("GC still expires entries that never reached storage", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const storage = indexedStorage();
+  storage.putMany = (records) => {
+    if (records.some((record) => record.key === "unstorable")) throw new Error("write failed");
+    records.forEach((record) => storage.put(record));
+  };
+  const cache = createBiscuit({ namespace: "gc-unstored", storage, gcInterval: 20, expiredRetention: 0 });
+  t.after(() => cache.destroy());
+  await cache.ready();
+  await cache.set("unstorable", 1, 10);
+  await cache.set("kept", 2, 60_000);
+  await sleep(100);
+  assert.deepEqual(cache.keys(), ["kept"]);
+});
+
+for (const lazyLoad of [false, true]) {
+  test(`getMissingFetcherIds() reads the fetcherId index (lazyLoad: ${lazyLoad})`, async (t) => {
+    const storage = indexedStorage();
+    const first = createBiscuit({ namespace: `gc-fetchers-${lazyLoad}`, storage });
+    await first.ready();
+    await first.set("feed", [1], 60_000, { id: "feed-fetcher", fn: async () => [2] });
+    first.destroy();
+
+    const reported = [];
+    const cache = createBiscuit({
+      namespace: `gc-fetchers-${lazyLoad}`,
+      storage,
+      lazyLoad,
+      onMissingFetchers: (ids) => reported.push(...ids),
+    });
+    t.after(() => cache.destroy());
+    await cache.ready();
+    assert.deepEqual(reported, ["feed-fetcher"]);
+    assert.deepEqual(cache.getMissingFetcherIds(), ["feed-fetcher"]);
+    cache.registerFetcher("feed-fetcher", async () => [2]);
+    assert.deepEqual(cache.getMissingFetcherIds(), []);
+  });
+}
@@ -0,0 +1,50 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import Biscuit, { createBiscuit, createMemoryStorage } from "../src/biscuit.js";
+
+after(() => Biscuit.destroy());
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+// two "tabs" on one store, talking over the namespace's BroadcastChannel
+function tabs(t, namespace, options) {
+  const storage = { ...createMemoryStorage(), shared: true };
+  const writer = createBiscuit({ namespace, storage });
+  const reader = createBiscuit({ namespace, storage, lazyLoad: true, ...options });
+  t.after(() => {
+    writer.destroy();
+    reader.destroy();
+  });
+  return [writer, reader];
+}
+
+test("remote writes to keys a lazyLoad tab never loaded stay out of its hot set", async (t) => {
+  const [writer, reader] = tabs(t, "lazy-remote", { maxSize: 2 });
+  await Promise.all([writer.ready(), reader.ready()]);
+  for (let i = 0; i < 30; i++) await writer.set(`k${i}`, i);
+  await settle();
+  assert.equal(reader.size(), 0);
+  assert.equal(await reader.get("k7"), 7); // read from storage on first use
+  assert.ok(reader.size() <= 2);
+});
+
+test("remote writes to loaded keys are applied, and the hot set stays bounded", async (t) => {
+  const [writer, reader] = tabs(t, "lazy-remote-hot", { maxSize: 2 });
+  await Promise.all([writer.ready(), reader.ready()]);
+  await writer.set("a", 1);
+  await writer.set("b", 2);
+  await writer.set("c", 3);
+  await settle();
+  assert.equal(await reader.get("a"), 1);
+  await writer.set("a", 10);
+  await settle();
+  assert.equal(reader.inspect().entries.a.value, 10);
+
+  const seen = [];
+  reader.subscribeKey("c", (value) => seen.push(value));
+  await settle();
+  await writer.set("c", 30);
+  await settle();
+  assert.equal(seen.at(-1), 30);
+  assert.ok(reader.size() <= 2);
+});
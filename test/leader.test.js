@@ -0,0 +1,67 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import Biscuit, { createBiscuit } from "../src/biscuit.js";
+
+after(() => Biscuit.destroy());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// a leader tab that keeps its heartbeat going but may never act on a
+// refresh-request — `onRequest` decides what it does with one
+function fakeLeader(t, namespace, onRequest = () => {}) {
+  const channel = new BroadcastChannel(`biscuit-${namespace}`);
+  const beat = () => channel.postMessage({ type: "leader-heartbeat", tabId: "0" });
+  const heartbeat = setInterval(beat, 500);
+  beat();
+  const requests = [];
+  channel.onmessage = ({ data }) => {
+    if (data?.type !== "refresh-request") return;
+    requests.push(data);
+    onRequest(data, channel);
+  };
+  t.after(() => {
+    clearInterval(heartbeat);
+    channel.close();
+  });
+  return requests;
+}
+
+async function follower(t, namespace) {
+  const cache = createBiscuit({ namespace, storage: "memory", leaderElection: true, fetchTimeout: 100 });
+  t.after(() => cache.destroy());
+  await cache.ready();
+  let calls = 0;
+  const fetcher = { id: "f", fn: async () => `local ${++calls}` };
+  cache.registerFetcher("f", fetcher.fn);
+  return { cache, fetcher, calls: () => calls };
+}
+
+test("a follower refreshes by itself when the leader never answers", async (t) => {
+  const requests = fakeLeader(t, "leader-silent");
+  const { cache, fetcher, calls } = await follower(t, "leader-silent");
+  assert.equal(cache.isLeader(), false);
+
+  await cache.set("k", 1, 200, fetcher);
+  await sleep(500);
+  assert.equal(requests.length, 1); // handed to the leader...
+  assert.equal(calls(), 0);
+
+  await sleep(3500); // ...which stays silent past the handoff timeout
+  assert.equal(cache.isLeader(), false);
+  assert.ok(calls() >= 1);
+  assert.match(cache.inspect().entries.k.value, /^local/);
+});
+
+test("a follower doesn't refresh again once the leader's value arrives", async (t) => {
+  const requests = fakeLeader(t, "leader-answers", ({ keys }, channel) => {
+    for (const key of keys)
+      channel.postMessage({ key, entry: { value: "leader", expiry: Date.now() + 60_000, ttl: 60_000, fetcherId: "f" }, schemaVersion: 1 });
+  });
+  const { cache, fetcher, calls } = await follower(t, "leader-answers");
+
+  await cache.set("k", 1, 200, fetcher);
+  await sleep(4000);
+  assert.equal(requests.length, 1);
+  assert.equal(calls(), 0);
+  assert.equal(await cache.get("k", { extend: false }), "leader");
+});
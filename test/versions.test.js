@@ -0,0 +1,57 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import Biscuit, { createBiscuit } from "../src/biscuit.js";
+
+after(() => Biscuit.destroy());
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+test("removals are remembered for ten minutes, then forgotten", async (t) => {
+  let now = Date.now();
+  t.mock.method(Date, "now", () => now);
+  const cache = createBiscuit({ namespace: "tombstones", storage: "memory" });
+  t.after(() => cache.destroy());
+  await cache.ready();
+  for (let i = 0; i < 50; i++) {
+    await cache.set(["query", i], i);
+    await cache.remove(["query", i]);
+  }
+  assert.equal(cache.inspect().tombstones, 50);
+
+  now += 5 * 60 * 1000;
+  await cache.set("a", 1);
+  await cache.remove("a");
+  assert.equal(cache.inspect().tombstones, 51);
+
+  now += 6 * 60 * 1000; // the first 50 are now 11 minutes old
+  await cache.set("b", 1);
+  await cache.remove("b");
+  assert.equal(cache.inspect().tombstones, 2);
+});
+
+test("a write from before a removal doesn't bring the key back", async (t) => {
+  const a = createBiscuit({ namespace: "tombstone-race", storage: "memory" });
+  const b = createBiscuit({ namespace: "tombstone-race", storage: "memory" });
+  const channel = new BroadcastChannel("biscuit-tombstone-race");
+  t.after(() => {
+    a.destroy();
+    b.destroy();
+    channel.close();
+  });
+  await Promise.all([a.ready(), b.ready()]);
+  const seen = [];
+  channel.onmessage = (event) => seen.push(event.data);
+
+  await a.set("k", 1);
+  await tick();
+  const write = seen.find((message) => JSON.stringify(message).includes('"value":1'));
+  assert.ok(write, "the write was broadcast");
+  await a.remove("k");
+  await tick();
+  assert.equal(await b.get("k"), null);
+
+  // the first write, delivered late
+  channel.postMessage(write);
+  await tick();
+  assert.equal(await b.get("k"), null);
+});